@@ -12,7 +12,16 @@ var fs = require('fs')
   , ofx = require('./ofx')
   , pkg = require('../package')
   , util = require('./utils')
-  , debug = require('debug')('banking:main');
+  , dates = require('./dates')
+  , normalize = require('./normalize')
+  , errors = require('./errors')
+  , exporter = require('./export')
+  , importer = require('./import')
+  , sync = require('./sync')
+  , Store = require('./store')
+  , institutions = require('./institutions')
+  , ParseStream = require('./stream')
+  , debug = util.debug('banking:main');
 
 
 /**
@@ -33,12 +42,22 @@ function Banking(args){
     fidOrg: args.fidOrg || '',
     url: args.url,
     bankId: args.bankId || '', /* If bank account use your bank routing number otherwise set to null */
-    user: args.user,
-    password: args.password,
+    user: args.user, /* or a credential provider, function(callback(err, user)) or returning a Promise */
+    password: args.password, /* or a credential provider, asked on every request */
     accId: args.accId,  /* Account Number */
     brokerId: args.brokerId, /* For investment accounts */
     accType: args.accType,
     clientId: args.clientId,
+    authToken: args.authToken, /* One time token, exchanged for an ACCESSKEY */
+    genUserKey: args.genUserKey, /* Ask the server for a USERKEY to sign on with */
+    mfa: args.mfa, /* function(challenges, callback(err, answers)) */
+    timeout: args.timeout || 60000, /* ms */
+    retries: typeof args.retries === 'number' ? args.retries : 2,
+    retryDelay: args.retryDelay || 1000, /* ms, doubled on each retry */
+    maxRedirects: typeof args.maxRedirects === 'number' ? args.maxRedirects : 5,
+    proxy: args.proxy, /* defaults to HTTPS_PROXY / HTTP_PROXY, false to disable */
+    transport: args.transport, /* function(opts, payload, callback(err, body)), defaults to util.request */
+    dates: args.dates, /* turn the DT* and TS* values of responses into Dates */
     appVer: args.appVer || '1700',
     ofxVer: args.ofxVer || '102',
     app: args.app || 'QWIN',
@@ -48,6 +67,12 @@ function Banking(args){
     Connection: args.Connection || 'Close',
     headers: args.headers || ['Host', 'Accept', 'User-Agent', 'Content-Type', 'Content-Length', 'Connection']
   };
+  this.session = {
+    userKey: args.userKey,
+    userKeyExpires: args.userKeyExpires,
+    accessKey: args.accessKey,
+    sessCookie: null
+  };
 }
 
 /**
@@ -57,65 +82,636 @@ function Banking(args){
 Banking.version = pkg.version;
 
 /**
- * [parseFile description]
- * @param  {[type]}   file [description]
- * @param  {Function} fn   [description]
- * @return {[type]}        [description]
+ * expose error types
+ */
+
+Banking.OfxError = errors.OfxError;
+Banking.OfxAuthError = errors.OfxAuthError;
+Banking.OfxAccountError = errors.OfxAccountError;
+Banking.OfxServerError = errors.OfxServerError;
+Banking.OfxParseError = errors.OfxParseError;
+Banking.OfxHttpError = errors.OfxHttpError;
+
+/**
+ * expose the institution directory
+ */
+
+Banking.institutions = institutions;
+
+/**
+ * Create a Banking instance for an institution of the directory
+ * @param  {String|Number} id institution id, FID or name, e.g. 'discover'
+ * @param  {Object} credentials user, password, accId, accType and any other
+ *   option, these take precedence over the institution's settings
+ * @return {Banking}
  */
 
-Banking.parseFile = function(file, fn) {
-  fs.readFile(file, 'utf8', function (err, data) {
-    if (err) throw new Error(err);
-    ofx.parse(data, function (res){
-      fn(res);
+Banking.fromInstitution = function(id, credentials) {
+  return Banking(institutions.options(id, credentials));
+};
+
+/**
+ * expose sync stores
+ */
+
+Banking.FileStore = Store.FileStore;
+Banking.MemoryStore = Store.MemoryStore;
+
+/**
+ * Read and parse an OFX file
+ * @param  {String}   file path to the file
+ * @param  {Object}   [opts] {dates: true} to turn the DT* and TS* values into Dates
+ * @param  {Function} [fn] callback(err, res), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+
+Banking.parseFile = function(file, opts, fn) {
+  if (typeof opts === 'function') fn = opts, opts = {};
+  return util.nodeify(function (resolve, reject) {
+    fs.readFile(file, 'utf8', function (err, data) {
+      if (err) return reject(err);
+      ofx.parse(data, opts, function (err, res) {
+        if (err) return reject(err);
+        resolve(res);
+      });
     });
-  });
+  }, fn);
 };
 
 /**
- * [parse description]
- * @param  {[type]}   str [description]
- * @param  {Function} fn  [description]
- * @return {[type]}       [description]
+ * Parse an OFX string
+ * @param  {String}   str
+ * @param  {Object}   [opts] {dates: true} to turn the DT* and TS* values into Dates
+ * @param  {Function} [fn] callback(err, res), a Promise is returned when omitted
+ * @return {Promise|undefined}
  */
 
-Banking.parse = function(str, fn){
-  ofx.parse(str, function (res){
-    fn(res);
-  });
+Banking.parse = function(str, opts, fn){
+  if (typeof opts === 'function') fn = opts, opts = {};
+  return util.nodeify(function (resolve, reject) {
+    ofx.parse(str, opts, function (err, res) {
+      if (err) return reject(err);
+      resolve(res);
+    });
+  }, fn);
+};
+
+/**
+ * Parse an OFX datetime such as `20120127235919.500[-8:PST]` into a Date,
+ * keeping its `offset` and `timezone`
+ * @param  {String} str
+ * @return {Date|null}
+ */
+
+Banking.parseDate = function(str) {
+  return dates.parse(str);
+};
+
+/**
+ * Format a Date as an OFX datetime, in the timezone it was parsed in or GMT
+ * @param  {Date} date
+ * @return {String}
+ */
+
+Banking.formatDate = function(date) {
+  return dates.format(date);
+};
+
+/**
+ * Read a CSV download into the same {header, body, normalized} result as
+ * Banking.parse
+ * @param  {String}   str
+ * @param  {Object}   [mapping] {preset, columns, header, dateFormat, delimiter, decimal, invert, account}
+ * @param  {Function} [fn] callback(err, res), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+
+Banking.parseCsv = function(str, mapping, fn) {
+  if (typeof mapping === 'function') fn = mapping, mapping = {};
+  return fromStatement(function () {
+    return importer.parseCsv(str, mapping);
+  }, fn);
+};
+
+/**
+ * Read a QIF file into the same {header, body, normalized} result as
+ * Banking.parse
+ * @param  {String}   str
+ * @param  {Object}   [opts] {dateFormat: 'MM/DD/YYYY', decimal: '.', account}
+ * @param  {Function} [fn] callback(err, res), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+
+Banking.parseQif = function(str, opts, fn) {
+  if (typeof opts === 'function') fn = opts, opts = {};
+  return fromStatement(function () {
+    return importer.parseQif(str, opts);
+  }, fn);
+};
+
+/**
+ * Create a transform stream that parses OFX text and emits the header,
+ * accounts and each transaction as they are read
+ * @param  {Object} [opts] {encoding: 'utf8'}
+ * @return {ParseStream}
+ */
+
+Banking.createParseStream = function(opts) {
+  return new ParseStream(opts);
+};
+
+/**
+ * Stream parse an OFX file
+ * @param  {String} file path to the file
+ * @param  {Object} [opts] {encoding: 'utf8'}
+ * @return {ParseStream}
+ */
+
+Banking.parseFileStream = function(file, opts) {
+  var stream = new ParseStream(opts);
+  fs.createReadStream(file)
+    .on('error', function (err) { stream.emit('error', err); })
+    .pipe(stream);
+  return stream;
+};
+
+/**
+ * Build a normalized statement (accounts, balances, transactions)
+ * from the result of Banking.parse
+ * @param  {Object} res
+ * @return {Object}
+ */
+
+Banking.normalize = function(res) {
+  return normalize(res);
+};
+
+/**
+ * Write a parsed or normalized statement out as an OFX document
+ * @param  {Object} statement
+ * @param  {Object} [opts] {version: '102'}, 200 and up produce OFX 2.x XML
+ * @return {String}
+ */
+
+Banking.serialize = function(statement, opts) {
+  return ofx.serialize(statement, opts);
+};
+
+/**
+ * Export the transactions of a parsed or normalized statement as CSV
+ * @param  {Object} statement
+ * @param  {Object} [opts] {columns, dateFormat: 'YYYY-MM-DD', delimiter: ',', header: true}
+ * @return {String}
+ */
+
+Banking.toCsv = function(statement, opts) {
+  return exporter.toCsv(statement, opts);
+};
+
+/**
+ * Export a parsed or normalized statement as QIF
+ * @param  {Object} statement
+ * @param  {Object} [opts] {dateFormat: 'MM/DD/YYYY'}
+ * @return {String}
+ */
+
+Banking.toQif = function(statement, opts) {
+  return exporter.toQif(statement, opts);
+};
+
+/**
+ * Export the transactions of a parsed or normalized statement as JSON Lines
+ * @param  {Object} statement
+ * @return {String}
+ */
+
+Banking.toJsonl = function(statement) {
+  return exporter.toJsonl(statement);
 };
 
 /**
  * Get a list of transactions from the ofx server
  * @param args set start and end date for transaction range
- * @param fn callback(error, transactions)
+ * @param fn callback(error, transactions), a Promise is returned when omitted
+ * @return {Promise|undefined}
  */
 Banking.prototype.getStatement = function(args, fn) {
-  var opts = util.mixin(this.opts, args);
-  var ofxReq = ofx.buildStatementRequest(opts);
+  return this._request(ofx.buildStatementRequest, args, fn);
+};
 
-  util.request(this.opts, ofxReq, function(err, response) {
-    debug('Raw-Response:', response);
-    if (err) return fn(err, err);
-    ofx.parse(response, function(ofxObj) {
-      fn(false, ofxObj);
+/**
+ * Get the transactions added since the last sync of the account
+ * @param args {store, overlap: 3, start} and the options of getStatement
+ * @param fn callback(error, {account, added, replaced, deleted, start, end, response}),
+ *   a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.sync = function(args, fn) {
+  if (typeof args === 'function') fn = args, args = {};
+  return sync(this, args, fn);
+};
+
+/**
+ * Get a list of accounts from your the ofx server
+ * @param fn callback(error, accounts), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getAccounts = function(fn) {
+  return this._request(ofx.buildAccountListRequest, {}, fn);
+};
+
+/**
+ * Get the statements of every account in the account list, a few at a time
+ * @param [args] {start, end, concurrency: 2}
+ * @param fn callback(error, results) with an {account, statement, error} per
+ *   account, only a failed account list is an error. A Promise is returned
+ *   when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getAllStatements = function(args, fn) {
+  if (typeof args === 'function') fn = args, args = {};
+  args = args || {};
+
+  var self = this
+    , concurrency = args.concurrency || 2;
+
+  return util.nodeify(function (resolve, reject) {
+    self.getAccounts(function (err, res) {
+      if (err) return reject(err);
+
+      var accounts = res.normalized.accountList
+        , results = []
+        , next = 0
+        , running = 0;
+
+      if (!accounts.length) return resolve(results);
+
+      function fetch(i) {
+        var account = accounts[i];
+        running++;
+        self.getStatement(assign(args, statementArgs(account)), function (err, res) {
+          results[i] = {account: account, statement: err ? null : res, error: err || null};
+          running--;
+          if (next === accounts.length && !running) return resolve(results);
+          while (running < concurrency && next < accounts.length) fetch(next++);
+        });
+      }
+
+      while (running < concurrency && next < accounts.length) fetch(next++);
+    });
+  }, fn);
+};
+
+/**
+ * Get the profile of the ofx server: the message sets and versions it
+ * supports and its signon requirements
+ * @param fn callback(error, profile), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getProfile = function(fn) {
+  return this._request(ofx.buildProfileRequest, {}, fn);
+};
+
+/**
+ * Get the closing statements (STMTENDRQ / CCSTMTENDRQ) for the account
+ * @param args optional start and end date
+ * @param fn callback(error, statements), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getClosingStatements = function(args, fn) {
+  if (typeof args === 'function') fn = args, args = {};
+  return this._request(ofx.buildClosingStatementRequest, args || {}, fn);
+};
+
+/**
+ * Get the bill pay payee list
+ * @param args optional {token} of a previous sync
+ * @param fn callback(error, payees), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getPayees = function(args, fn) {
+  if (typeof args === 'function') fn = args, args = {};
+  return this._request(ofx.buildPayeeListRequest, args || {}, fn);
+};
+
+/**
+ * Get the processing status of a bill payment
+ * @param srvrTid server transaction id of the payment
+ * @param fn callback(error, payment), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+Banking.prototype.getPaymentStatus = function(srvrTid, fn) {
+  return this._request(ofx.buildPaymentInquiryRequest, {srvrTid: srvrTid}, fn);
+};
+
+/**
+ * Build, send and check a request. Answers MFA challenges through the `mfa`
+ * option when the server asks for them, and signs on with the password again
+ * when a cached session key is refused.
+ * @param build request builder, called with the signon options
+ * @param args request options
+ * @param fn callback(error, response)
+ * @return {Promise|undefined}
+ * @api private
+ */
+Banking.prototype._request = function(build, args, fn) {
+  var self = this;
+
+  return util.nodeify(function (resolve, reject) {
+    function done(err, res) {
+      if (err) return reject(err);
+      resolve(res);
+    }
+
+    self._credentials(function (err, credentials) {
+      if (err) return done(err);
+      var signOnArgs = assign(args || {}, credentials);
+
+      (function attempt(retried) {
+        var opts = self._options(signOnArgs)
+          , ofxReq;
+
+        try {
+          ofxReq = build(opts);
+        } catch (err) {
+          return done(err);
+        }
+
+        self._send(ofxReq, function (err, res) {
+          if (!(err instanceof errors.OfxAuthError)) return done(err, res);
+          if (err.code === 3000) return self._answerMfa(err, build, signOnArgs, done);
+          if (retried || !(opts.userKey || opts.accessKey)) return done(err);
+          self.session = {};
+          attempt(true);
+        });
+      })(false);
     });
+  }, fn);
+};
+
+/**
+ * Resolve the `user` and `password` options given as credential providers:
+ * functions that call back with the value or return it, or a Promise of it.
+ * They are asked on every request and their values are never kept.
+ * @param fn callback(error, {user, password})
+ * @api private
+ */
+Banking.prototype._credentials = function(fn) {
+  var opts = this.opts
+    , credentials = {}
+    , names = ['user', 'password'].filter(function (name) {
+        return typeof opts[name] === 'function';
+      });
+
+  (function next(i) {
+    if (i === names.length) return fn(null, credentials);
+    provide(opts[names[i]], function (err, val) {
+      if (err) return fn(err);
+      credentials[names[i]] = val;
+      next(i + 1);
+    });
+  })(0);
+};
+
+/**
+ * Fetch the MFA challenges, hand them to the `mfa` option and send the
+ * request again with the answers
+ * @param err the 3000 signon error
+ * @param build request builder
+ * @param args request options
+ * @param fn callback(error, response)
+ * @api private
+ */
+Banking.prototype._answerMfa = function(err, build, args, fn) {
+  var self = this
+    , mfa = this.opts.mfa;
+
+  if (typeof mfa !== 'function') return fn(err);
+
+  this._send(ofx.buildMfaChallengeRequest(this._options(args)), function (challengeErr, res) {
+    var challenges = res ? ofx.getMfaChallenges(res) : [];
+    if (!challenges.length) return fn(challengeErr || err);
+
+    var answered = false;
+    function answer(err, answers) {
+      if (answered) return;
+      answered = true;
+      if (err) return fn(err);
+      var opts = self._options(assign(args, {mfaAnswers: toAnswers(answers)}));
+      self._send(build(opts), fn);
+    }
+
+    var ret;
+    try {
+      ret = mfa(challenges, answer);
+    } catch (e) {
+      return answer(e);
+    }
+    if (ret && typeof ret.then === 'function') {
+      ret.then(function (answers) { answer(null, answers); }, answer);
+    }
   });
 };
 
 /**
- * Get a list of accounts from your the ofx server
+ * Signon options for a request: the request arguments, the instance options
+ * and the cached session keys
  * @param args
- * @param fn
+ * @return {Object}
+ * @api private
  */
-Banking.prototype.getAccounts = function(fn) {
-  var ofxReq = ofx.buildAccountListRequest(this.opts);
+Banking.prototype._options = function(args) {
+  var opts = assign(this.opts, args || {})
+    , session = this.session;
 
-  util.request(this.opts, ofxReq, function(err, response) {
+  // credential providers the request did not resolve
+  if (typeof opts.user === 'function') opts.user = null;
+  if (typeof opts.password === 'function') opts.password = null;
+
+  if (session.userKey && !(session.userKeyExpires && session.userKeyExpires < new Date())) {
+    opts.userKey = opts.userKey || session.userKey;
+  }
+  opts.accessKey = opts.accessKey || session.accessKey;
+  opts.sessCookie = opts.sessCookie || session.sessCookie;
+  return opts;
+};
+
+/**
+ * Post an OFX request to the ofx server through the transport, parse the
+ * response and keep the session keys it returns. Transports either call back
+ * or return a Promise of the response body.
+ * @param ofxReq request string
+ * @param fn callback(error, response), the response is also passed along
+ *   with an OFX status error. The OFX body of a non 2xx response is checked
+ *   for a more specific status error.
+ * @api private
+ */
+Banking.prototype._send = function(ofxReq, fn) {
+  var self = this
+    , transport = this.opts.transport || util.request
+    , answered = false;
+
+  function onResponse(err, response) {
+    if (answered) return;
+    answered = true;
     debug('Raw-Response:', response);
-    if (err) return fn(err, err);
-    ofx.parse(response, function(ofxObj) {
-      fn(false, ofxObj);
+    if (err && !(err instanceof errors.OfxHttpError && /<OFX>/i.test(response))) return fn(err);
+    ofx.parse(response, {dates: self.opts.dates}, function(parseErr, ofxObj) {
+      // an error page that merely looks like OFX keeps the HTTP error
+      if (parseErr) return fn(err || parseErr);
+      self._keepSession(ofxObj);
+      fn(ofx.checkStatus(ofxObj) || err, ofxObj);
     });
-  });
+  }
+
+  debug('Raw-Request:', ofxReq);
+  var ret = transport(this.opts, ofxReq, onResponse);
+  if (ret && typeof ret.then === 'function') {
+    ret.then(function (body) { onResponse(null, body); }, onResponse);
+  }
 };
+
+/**
+ * Cache the USERKEY, ACCESSKEY and SESSCOOKIE of a signon response
+ * @param res result of ofx.parse
+ * @api private
+ */
+Banking.prototype._keepSession = function(res) {
+  var signOn = res.body.OFX.SIGNONMSGSRSV1
+    , sonrs = signOn && signOn.SONRS
+    , session = this.session;
+
+  if (!sonrs) return;
+  if (sonrs.USERKEY) {
+    session.userKey = sonrs.USERKEY;
+    session.userKeyExpires = sonrs.TSKEYEXPIRE ? dates.parse(sonrs.TSKEYEXPIRE) : null;
+  }
+  if (sonrs.ACCESSKEY) session.accessKey = sonrs.ACCESSKEY;
+  if (sonrs.SESSCOOKIE) session.sessCookie = sonrs.SESSCOOKIE;
+};
+
+/**
+ * Statement request options for an entry of the account list
+ * @param account normalized ACCTINFO
+ * @return {Object}
+ * @api private
+ */
+function statementArgs(account) {
+  return {
+    accId: account.id,
+    accType: account.accountType,
+    bankId: account.bankId,
+    brokerId: account.brokerId
+  };
+}
+
+/**
+ * A copy of `base` with the values of `obj` on top. Unlike util.mixin, only
+ * undefined values of `obj` fall back to `base`, so an account without a
+ * bankId is not sent with the bankId of the instance
+ * @param base
+ * @param obj
+ * @return {Object}
+ * @api private
+ */
+function assign(base, obj) {
+  var res = {};
+  Object.keys(base).forEach(function (key) { res[key] = base[key]; });
+  Object.keys(obj).forEach(function (key) {
+    if (typeof obj[key] !== 'undefined') res[key] = obj[key];
+  });
+  return res;
+}
+
+/**
+ * Ask a credential provider for its value. Providers declaring a callback
+ * argument are waited for, the others must return the value or a Promise
+ * of it
+ * @param provider function(callback(err, value)), or returning the value or a Promise of it
+ * @param fn callback(err, value)
+ * @api private
+ */
+function provide(provider, fn) {
+  var answered = false;
+  function answer(err, val) {
+    if (answered) return;
+    answered = true;
+    fn(err, val);
+  }
+
+  var ret;
+  try {
+    ret = provider(answer);
+  } catch (err) {
+    return answer(err);
+  }
+  if (ret && typeof ret.then === 'function') {
+    ret.then(function (val) { answer(null, val); }, answer);
+  } else if (typeof ret !== 'undefined') {
+    answer(null, ret);
+  } else if (!provider.length) {
+    answer(new TypeError('Credential providers without a callback argument must return the value or a Promise of it'));
+  }
+}
+
+/**
+ * MFA answers as a list of {id, answer}, given either that list or an
+ * object of answers keyed by phrase id
+ * @param answers
+ * @return {Array}
+ * @api private
+ */
+function toAnswers(answers) {
+  if (Array.isArray(answers)) return answers;
+  return Object.keys(answers || {}).map(function (id) {
+    return {id: id, answer: answers[id]};
+  });
+}
+
+/**
+ * Write an imported statement out as OFX and parse it, so imports have the
+ * shape of any other parse result. OFX cuts NAME to 32 characters, the
+ * normalized transactions get the whole payees back
+ * @param read function returning a normalized statement
+ * @param fn callback(err, res)
+ * @return {Promise|undefined}
+ * @api private
+ */
+function fromStatement(read, fn) {
+  return util.nodeify(function (resolve, reject) {
+    var stmt, str;
+    try {
+      stmt = read();
+      str = ofx.serialize(stmt);
+    } catch (err) {
+      return reject(err);
+    }
+    ofx.parse(str, function (err, res) {
+      if (err) return reject(err);
+      restorePayees(res.normalized, stmt);
+      resolve(res);
+    });
+  }, fn);
+}
+
+/**
+ * Copy the payees of `stmt` onto the transactions of `normalized` with the
+ * same account and FITID
+ * @param normalized
+ * @param stmt
+ * @api private
+ */
+function restorePayees(normalized, stmt) {
+  var payees = {};
+  stmt.accounts.forEach(function (account) {
+    (account.transactions || []).forEach(function (trn) {
+      if (trn.payee) payees[account.id + '\n' + trn.fitId] = trn.payee;
+    });
+  });
+  normalized.accounts.forEach(function (account) {
+    account.transactions.forEach(function (trn) {
+      var payee = payees[account.id + '\n' + trn.fitId];
+      if (payee) trn.payee = payee;
+    });
+  });
+}
@@ -0,0 +1,135 @@
+/*!
+ * dates
+ * OFX datetimes (YYYYMMDDHHMMSS.XXX[gmt offset:tz name]) to and from Dates
+ */
+
+var OFX_DATE = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.(\d+))?)?)?\s*(?:\[\s*([+-]?\d+(?:\.\d+)?)(?::\s*(\w+))?\s*\])?/;
+
+var ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+var HOUR = 3600000;
+
+/**
+ * expose dates
+ */
+
+var Dates = module.exports = {};
+
+/**
+ * Parse an OFX datetime into a Date. Values without an offset are GMT as per
+ * the OFX spec. The offset in hours and the timezone name of the value are
+ * kept in the `offset` and `timezone` properties of the Date, which are not
+ * enumerable so the Date still compares and serializes like any other.
+ * Dates are returned as they are.
+ * @param  {String|Date} str
+ * @return {Date|null}
+ */
+
+Dates.parse = function (str) {
+  if (str instanceof Date) return str;
+  if (!str) return null;
+  var m = OFX_DATE.exec(String(str).trim());
+  if (!m) return null;
+  var offset = m[8] ? parseFloat(m[8]) : 0;
+  var ms = m[7] ? parseInt((m[7] + '00').substring(0, 3), 10) : 0;
+  var time = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), ms);
+  return Dates.zone(new Date(time - offset * HOUR), offset, m[9] || null);
+};
+
+/**
+ * Format a Date as an OFX datetime. Dates read by Dates.parse are written in
+ * the timezone they were read in, others in GMT.
+ * @param  {Date}   date
+ * @param  {Number} [offset] hours from GMT
+ * @param  {String} [timezone] e.g. 'EST'
+ * @return {String}
+ */
+
+Dates.format = function (date, offset, timezone) {
+  if (typeof offset !== 'number') {
+    offset = date.offset || 0;
+    timezone = date.timezone;
+  }
+  var local = new Date(date.getTime() + offset * HOUR).toISOString();
+  timezone = timezone || (offset ? null : 'GMT');
+  return local.replace(/[-:T]/g, '').replace('Z', '') + '[' + offset + (timezone ? ':' + timezone : '') + ']';
+};
+
+/**
+ * An OFX datetime for a request option: Dates and ISO 8601 strings are
+ * formatted, `2013-01-31` becomes the day `20130131` and OFX values such as
+ * `20130131` are sent as they are. Anything else is a TypeError.
+ * @param  {Date|String|Number} val
+ * @return {String}
+ */
+
+Dates.toOfx = function (val) {
+  if (typeof val === 'undefined' || val === null) throw new TypeError('Missing date');
+
+  if (val instanceof Date) {
+    if (isNaN(val.getTime())) throw new TypeError('Invalid date: ' + val);
+    return Dates.format(val);
+  }
+
+  var str = String(val).trim()
+    , day = ISO_DAY.exec(str);
+
+  if (day) return day[1] + day[2] + day[3];
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(str)) {
+    var time = Date.parse(str);
+    if (isNaN(time)) throw new TypeError('Invalid date: ' + val);
+    return Dates.format(new Date(time));
+  }
+
+  var m = OFX_DATE.exec(str);
+  if (!m || m[0].length !== str.length) throw new TypeError('Invalid date: ' + val);
+  return str;
+};
+
+/**
+ * Replace every DT* and TS* value of a parsed OFX tree with a Date
+ * @param  {Object} tree
+ * @return {Object} the tree
+ */
+
+Dates.convert = function (tree) {
+  Object.keys(tree).forEach(function (name) {
+    var val = tree[name];
+
+    if (Array.isArray(val)) {
+      tree[name] = val.map(function (item) {
+        return convertValue(name, item);
+      });
+    } else {
+      tree[name] = convertValue(name, val);
+    }
+  });
+
+  return tree;
+};
+
+/**
+ * Set the `offset` and `timezone` a Date was given in
+ * @param  {Date}   date
+ * @param  {Number} offset hours from GMT
+ * @param  {String} [timezone]
+ * @return {Date}
+ */
+
+Dates.zone = function (date, offset, timezone) {
+  Object.defineProperty(date, 'offset', { value: offset, configurable: true });
+  Object.defineProperty(date, 'timezone', { value: timezone || null, configurable: true });
+  return date;
+};
+
+/**
+ * A converted element value
+ * @api private
+ */
+
+function convertValue(name, val) {
+  if (val && typeof val === 'object' && !(val instanceof Date)) return Dates.convert(val);
+  if (typeof val !== 'string' || !/^(DT|TS)[A-Z]/.test(name)) return val;
+  return Dates.parse(val) || val;
+}
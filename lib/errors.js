@@ -0,0 +1,185 @@
+/*!
+ * errors
+ * Typed errors for OFX STATUS aggregates, HTTP failures and malformed input
+ */
+
+var inherits = require('util').inherits;
+
+/**
+ * OFX status codes and their default messages
+ */
+
+var CODES = {
+  2000: 'General error',
+  2002: 'General account error',
+  2003: 'Account not found',
+  2004: 'Account closed',
+  2005: 'Account not authorized',
+  2006: 'Source account not found',
+  2007: 'Source account closed',
+  2008: 'Source account not authorized',
+  2009: 'Destination account not found',
+  2010: 'Destination account closed',
+  2011: 'Destination account not authorized',
+  2012: 'Invalid amount',
+  2014: 'Date too soon',
+  2015: 'Date too far in future',
+  2018: 'Unknown server ID',
+  2019: 'Duplicate request',
+  2020: 'Invalid date',
+  2021: 'Unsupported version',
+  2022: 'Invalid TAN',
+  2023: 'Unknown FITID',
+  2025: 'Branch ID missing',
+  2026: 'Bank name does not match bank ID',
+  2027: 'Invalid date range',
+  2028: 'Requested element unknown',
+  3000: 'Further authentication required',
+  3001: 'MFA challenge answer contained invalid information',
+  15000: 'Must change USERPASS',
+  15500: 'Signon invalid',
+  15501: 'Customer account already in use',
+  15502: 'USERPASS lockout',
+  15503: 'Could not change USERPASS',
+  15504: 'Could not provide random data',
+  15505: 'Country system not available',
+  15506: 'Empty signon not supported',
+  15507: 'Signon invalid without supporting pin change request',
+  15508: 'Transaction not authorized',
+  15510: 'CLIENTUID error',
+  15511: 'User should contact financial institution',
+  15512: 'AUTHTOKEN required',
+  15513: 'AUTHTOKEN invalid'
+};
+
+var ACCOUNT_CODES = [2002, 2003, 2004, 2005, 2006, 2007, 2008, 2009, 2010, 2011, 2025, 2026];
+
+/**
+ * expose errors
+ */
+
+var Errors = module.exports = {};
+
+Errors.CODES = CODES;
+
+/**
+ * Base error for a failed OFX STATUS aggregate
+ * @param {Object} status STATUS aggregate ({CODE, SEVERITY, MESSAGE})
+ */
+
+function OfxError(status) {
+  status = status || {};
+  this.name = 'OfxError';
+  this.code = parseInt(status.CODE, 10);
+  this.severity = status.SEVERITY || 'ERROR';
+  this.message = status.MESSAGE || CODES[this.code] || 'OFX error ' + status.CODE;
+  Error.captureStackTrace(this, this.constructor);
+}
+
+inherits(OfxError, Error);
+
+/**
+ * Signon failures: bad credentials, lockouts and further authentication
+ * @param {Object} status
+ */
+
+function OfxAuthError(status) {
+  OfxError.call(this, status);
+  this.name = 'OfxAuthError';
+}
+
+inherits(OfxAuthError, OfxError);
+
+/**
+ * Missing, closed or unauthorized accounts
+ * @param {Object} status
+ */
+
+function OfxAccountError(status) {
+  OfxError.call(this, status);
+  this.name = 'OfxAccountError';
+}
+
+inherits(OfxAccountError, OfxError);
+
+/**
+ * Any other error reported by the server, usually worth a retry
+ * @param {Object} status
+ */
+
+function OfxServerError(status) {
+  OfxError.call(this, status);
+  this.name = 'OfxServerError';
+}
+
+inherits(OfxServerError, OfxError);
+
+/**
+ * Malformed OFX input
+ * @param {String} message
+ * @param {Number} line
+ * @param {Number} column
+ */
+
+function OfxParseError(message, line, column) {
+  this.name = 'OfxParseError';
+  this.line = line;
+  this.column = column;
+  this.message = message + ' at line ' + line + ', column ' + column;
+  Error.captureStackTrace(this, this.constructor);
+}
+
+inherits(OfxParseError, Error);
+
+/**
+ * Non 2xx HTTP response or failed proxy tunnel
+ * @param {Number} statusCode
+ * @param {String} message
+ * @param {String} [body]
+ */
+
+function OfxHttpError(statusCode, message, body) {
+  this.name = 'OfxHttpError';
+  this.statusCode = statusCode;
+  this.message = message;
+  this.body = body;
+  Error.captureStackTrace(this, this.constructor);
+}
+
+inherits(OfxHttpError, Error);
+
+Errors.OfxError = OfxError;
+Errors.OfxAuthError = OfxAuthError;
+Errors.OfxAccountError = OfxAccountError;
+Errors.OfxServerError = OfxServerError;
+Errors.OfxParseError = OfxParseError;
+Errors.OfxHttpError = OfxHttpError;
+
+/**
+ * Create the matching error for a STATUS aggregate
+ * @param  {Object} status
+ * @return {OfxError}
+ */
+
+Errors.fromStatus = function (status) {
+  var code = parseInt(status.CODE, 10);
+  if (code === 3000 || code === 3001 || (code >= 15000 && code < 16000)) return new OfxAuthError(status);
+  if (ACCOUNT_CODES.indexOf(code) !== -1) return new OfxAccountError(status);
+  return new OfxServerError(status);
+};
+
+/**
+ * Whether a STATUS aggregate reports a failure. Codes with an INFO or WARN
+ * severity are informational and do not fail the request, except for 3000
+ * (MFA challenge required).
+ * @param  {Object} status
+ * @return {Boolean}
+ */
+
+Errors.isError = function (status) {
+  if (!status || typeof status.CODE === 'undefined') return false;
+  // further authentication is required before the request is served
+  if (parseInt(status.CODE, 10) === 3000) return true;
+  if (status.SEVERITY) return status.SEVERITY === 'ERROR';
+  return parseInt(status.CODE, 10) !== 0;
+};
@@ -0,0 +1,273 @@
+/*!
+ * export
+ * CSV, QIF and JSON Lines exports of normalized statements
+ */
+
+var normalize = require('./normalize');
+
+/**
+ * CSV columns: header name and how to read it from a transaction
+ */
+
+var COLUMNS = {
+  date: function (trn) { return trn.date || trn.tradeDate; },
+  userDate: function (trn) { return trn.userDate || trn.settleDate; },
+  account: function (trn, account) { return account.id; },
+  accountType: function (trn, account) { return account.accountType || account.type; },
+  currency: function (trn, account) { return account.currency; },
+  type: function (trn) { return trn.type; },
+  action: function (trn) { return trn.action; },
+  amount: function (trn) { return typeof trn.amount === 'number' ? trn.amount : trn.total; },
+  payee: function (trn) { return trn.payee || (trn.security && trn.security.name); },
+  memo: function (trn) { return trn.memo; },
+  fitId: function (trn) { return trn.fitId; },
+  checkNumber: function (trn) { return trn.checkNumber; },
+  security: function (trn) { return trn.security ? trn.security.ticker || trn.security.name : trn.securityId; },
+  units: function (trn) { return trn.units; },
+  unitPrice: function (trn) { return trn.unitPrice; },
+  commission: function (trn) { return trn.commission; },
+  fees: function (trn) { return trn.fees; },
+  total: function (trn) { return trn.total; }
+};
+
+var DEFAULT_COLUMNS = ['date', 'account', 'type', 'amount', 'payee', 'memo', 'fitId', 'checkNumber'];
+
+var QIF_TYPES = { bank: 'Bank', creditcard: 'CCard', investment: 'Invst' };
+
+/**
+ * QIF investment actions by normalized kind and OFX action
+ */
+
+var QIF_ACTIONS = {
+  buy: { BUYTOCOVER: 'CvrShrt', '': 'Buy' },
+  sell: { SELLSHORT: 'ShtSell', '': 'Sell' },
+  income: { DIV: 'Div', INTEREST: 'IntInc', CGLONG: 'CGLong', CGSHORT: 'CGShort', '': 'MiscInc' },
+  reinvest: { DIV: 'ReinvDiv', INTEREST: 'ReinvInt', CGLONG: 'ReinvLg', CGSHORT: 'ReinvSh', '': 'ReinvDiv' },
+  transfer: { OUT: 'ShrsOut', '': 'ShrsIn' },
+  expense: { '': 'MiscExp' },
+  interest: { '': 'MargInt' },
+  returnofcapital: { '': 'RtrnCap' },
+  split: { '': 'StkSplit' },
+  closure: { EXERCISE: 'Exercise', EXPIRE: 'Expire', '': 'ShrsOut' }
+};
+
+/**
+ * expose export
+ */
+
+var Export = module.exports = {};
+
+/**
+ * Write the transactions of a statement as CSV
+ *
+ * Options:
+ *
+ *   - `columns` column names (see Export.COLUMNS) or {header, value(trn, account)}
+ *   - `dateFormat` e.g. 'MM/DD/YYYY', defaults to 'YYYY-MM-DD'
+ *   - `delimiter` defaults to ','
+ *   - `header` false to leave out the header row
+ *
+ * @param  {Object} statement parse result or normalized statement
+ * @param  {Object} [opts]
+ * @return {String}
+ */
+
+Export.toCsv = function (statement, opts) {
+  opts = opts || {};
+  var columns = (opts.columns || DEFAULT_COLUMNS).map(column)
+    , delimiter = opts.delimiter || ','
+    , dateFormat = opts.dateFormat || 'YYYY-MM-DD'
+    , rows = [];
+
+  if (opts.header !== false) {
+    rows.push(columns.map(function (col) { return col.header; }));
+  }
+
+  transactions(toStatement(statement)).forEach(function (item) {
+    rows.push(columns.map(function (col) {
+      var val = col.value(item.trn, item.account);
+      return val instanceof Date ? Export.formatDate(val, dateFormat) : val;
+    }));
+  });
+
+  return rows.map(function (row) {
+    return row.map(function (val) { return csvValue(val, delimiter); }).join(delimiter);
+  }).join('\r\n') + '\r\n';
+};
+
+/**
+ * Write a statement as QIF, one `!Type:Bank`, `!Type:CCard` or `!Type:Invst`
+ * section per account. Statements with several accounts start with their
+ * account list between `!Option:AutoSwitch` and `!Clear:AutoSwitch`, as
+ * Quicken and GnuCash expect, and get an `!Account` header before each
+ * section.
+ *
+ * @param  {Object} statement parse result or normalized statement
+ * @param  {Object} [opts] {dateFormat: 'MM/DD/YYYY'}
+ * @return {String}
+ */
+
+Export.toQif = function (statement, opts) {
+  opts = opts || {};
+  var stmt = toStatement(statement)
+    , dateFormat = opts.dateFormat || 'MM/DD/YYYY'
+    , multiple = stmt.accounts.length > 1;
+
+  function header(account) {
+    return '!Account\nN' + account.id + '\nT' + (QIF_TYPES[account.type] || 'Bank') + '\n^\n';
+  }
+
+  var list = multiple
+    ? '!Option:AutoSwitch\n' + stmt.accounts.map(header).join('') + '!Clear:AutoSwitch\n'
+    : '';
+
+  return list + stmt.accounts.map(function (account) {
+    var type = QIF_TYPES[account.type] || 'Bank'
+      , out = '';
+
+    if (multiple) out += header(account);
+    out += '!Type:' + type + '\n';
+
+    if (type !== 'Invst') {
+      account.transactions.forEach(function (trn) {
+        out += qifRecord([
+          ['D', Export.formatDate(trn.date, dateFormat)],
+          ['T', trn.amount],
+          ['N', trn.checkNumber],
+          ['P', trn.payee],
+          ['M', trn.memo]
+        ]);
+      });
+      return out;
+    }
+
+    investmentItems(account).forEach(function (trn) {
+      if (!trn.kind) {
+        // cash activity (INVBANKTRAN)
+        out += qifRecord([
+          ['D', Export.formatDate(trn.date, dateFormat)],
+          ['N', 'Cash'],
+          ['T', trn.amount],
+          ['P', trn.payee],
+          ['M', trn.memo]
+        ]);
+        return;
+      }
+
+      var actions = QIF_ACTIONS[trn.kind];
+      if (!actions) return;
+      var total = trn.total === null ? null : Math.abs(trn.total);
+
+      out += qifRecord([
+        ['D', Export.formatDate(trn.tradeDate, dateFormat)],
+        ['N', actions[trn.action] || actions['']],
+        ['Y', trn.security ? trn.security.name || trn.security.ticker : trn.securityId],
+        ['I', trn.unitPrice],
+        ['Q', trn.units === null ? null : Math.abs(trn.units)],
+        ['T', total],
+        ['U', total],
+        ['O', trn.commission],
+        ['M', trn.memo]
+      ]);
+    });
+
+    return out;
+  }).join('');
+};
+
+/**
+ * Write the transactions of a statement as JSON Lines, one transaction per
+ * line
+ * @param  {Object} statement parse result or normalized statement
+ * @return {String}
+ */
+
+Export.toJsonl = function (statement) {
+  return transactions(toStatement(statement)).map(function (item) {
+    return JSON.stringify(item.trn) + '\n';
+  }).join('');
+};
+
+/**
+ * Format a date with YYYY, MM, DD, HH, mm and ss tokens, in the timezone of
+ * the OFX datetime it was read from or UTC
+ * @param  {Date}   date
+ * @param  {String} format
+ * @return {String}
+ */
+
+Export.formatDate = function (date, format) {
+  if (!date) return '';
+  var iso = new Date(date.getTime() + (date.offset || 0) * 3600000).toISOString();
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, function (token) {
+    switch (token) {
+      case 'YYYY': return iso.substring(0, 4);
+      case 'MM': return iso.substring(5, 7);
+      case 'DD': return iso.substring(8, 10);
+      case 'HH': return iso.substring(11, 13);
+      case 'mm': return iso.substring(14, 16);
+      case 'ss': return iso.substring(17, 19);
+    }
+  });
+};
+
+Export.COLUMNS = COLUMNS;
+
+/**
+ * The normalized statement for a parse result or normalized statement
+ * @api private
+ */
+
+function toStatement(statement) {
+  if (statement && Array.isArray(statement.accounts)) return statement;
+  if (statement && statement.normalized) return statement.normalized;
+  if (statement && statement.body) return normalize(statement);
+  throw new TypeError('Unable to export statement: expected a parsed or normalized statement');
+}
+
+/**
+ * Every transaction of every account, cash and investment activity
+ * @api private
+ */
+
+function transactions(stmt) {
+  var items = [];
+  stmt.accounts.forEach(function (account) {
+    var trns = account.type === 'investment' ? investmentItems(account) : account.transactions;
+    trns.forEach(function (trn) {
+      items.push({ trn: trn, account: account });
+    });
+  });
+  return items;
+}
+
+/**
+ * Cash and investment transactions of an investment account by date
+ * @api private
+ */
+
+function investmentItems(account) {
+  return account.transactions.concat(account.investmentTransactions || []).sort(function (a, b) {
+    return (a.date || a.tradeDate || 0) - (b.date || b.tradeDate || 0);
+  });
+}
+
+function column(col) {
+  if (typeof col === 'object') return col;
+  if (!COLUMNS[col]) throw new TypeError('Unknown CSV column: ' + col);
+  return { header: col, value: COLUMNS[col] };
+}
+
+function csvValue(val, delimiter) {
+  val = val === null || typeof val === 'undefined' ? '' : String(val);
+  if (val.indexOf(delimiter) === -1 && !/["\r\n]/.test(val)) return val;
+  return '"' + val.replace(/"/g, '""') + '"';
+}
+
+function qifRecord(fields) {
+  return fields.filter(function (field) {
+    return field[1] !== null && typeof field[1] !== 'undefined' && field[1] !== '';
+  }).map(function (field) {
+    return field[0] + String(field[1]).replace(/[\r\n]+/g, ' ') + '\n';
+  }).join('') + '^\n';
+}
@@ -0,0 +1,514 @@
+/*!
+ * import
+ * Reads CSV and QIF downloads into normalized statements
+ */
+
+var crypto = require('crypto')
+  , errors = require('./errors');
+
+/**
+ * Column mappings of common bank CSV downloads
+ */
+
+var PRESETS = {
+  generic: {
+    columns: { date: 'date', amount: 'amount', payee: 'payee', memo: 'memo' },
+    dateFormat: 'YYYY-MM-DD'
+  },
+  chase: {
+    columns: { date: 'Post Date', userDate: 'Transaction Date', payee: 'Description', amount: 'Amount', memo: 'Memo' },
+    dateFormat: 'MM/DD/YYYY',
+    account: { type: 'creditcard' }
+  },
+  bankofamerica: {
+    columns: { date: 'Date', payee: 'Description', amount: 'Amount' },
+    dateFormat: 'MM/DD/YYYY'
+  },
+  wellsfargo: {
+    header: false,
+    columns: { date: 0, amount: 1, checkNumber: 3, payee: 4 },
+    dateFormat: 'MM/DD/YYYY'
+  },
+  amex: {
+    columns: { date: 'Date', payee: 'Description', amount: 'Amount' },
+    dateFormat: 'MM/DD/YYYY',
+    invert: true,
+    account: { type: 'creditcard' }
+  },
+  capitalone: {
+    columns: { date: 'Posted Date', userDate: 'Transaction Date', payee: 'Description', memo: 'Category', debit: 'Debit', credit: 'Credit' },
+    dateFormat: 'YYYY-MM-DD',
+    account: { type: 'creditcard' }
+  }
+};
+
+/**
+ * QIF account types
+ */
+
+var QIF_TYPES = {
+  'Bank': { type: 'bank', accountType: 'CHECKING' },
+  'Cash': { type: 'bank', accountType: 'CHECKING' },
+  'Oth A': { type: 'bank', accountType: 'SAVINGS' },
+  'Oth L': { type: 'bank', accountType: 'CREDITLINE' },
+  'CCard': { type: 'creditcard', accountType: 'CREDITCARD' },
+  'Invst': { type: 'investment', accountType: 'INVESTMENT' }
+};
+
+/**
+ * QIF investment actions: OFX aggregate, action and the sign of the total
+ */
+
+var QIF_ACTIONS = {
+  Buy: ['BUYSTOCK', 'BUY', -1],
+  CvrShrt: ['BUYSTOCK', 'BUYTOCOVER', -1],
+  Sell: ['SELLSTOCK', 'SELL', 1],
+  ShtSell: ['SELLSTOCK', 'SELLSHORT', 1],
+  Div: ['INCOME', 'DIV', 1],
+  IntInc: ['INCOME', 'INTEREST', 1],
+  CGLong: ['INCOME', 'CGLONG', 1],
+  CGShort: ['INCOME', 'CGSHORT', 1],
+  MiscInc: ['INCOME', 'MISC', 1],
+  ReinvDiv: ['REINVEST', 'DIV', -1],
+  ReinvInt: ['REINVEST', 'INTEREST', -1],
+  ReinvLg: ['REINVEST', 'CGLONG', -1],
+  ReinvSh: ['REINVEST', 'CGSHORT', -1],
+  ShrsIn: ['TRANSFER', 'IN', 0],
+  ShrsOut: ['TRANSFER', 'OUT', 0]
+};
+
+// cash actions taking money out of an investment account
+var QIF_WITHDRAWALS = ['XOut', 'MiscExp', 'MargInt', 'Withdrw'];
+
+/**
+ * expose import
+ */
+
+var Import = module.exports = {};
+
+Import.PRESETS = PRESETS;
+
+/**
+ * Read a CSV download into a normalized statement
+ *
+ * Mapping:
+ *
+ *   - `preset` one of Import.PRESETS, the other options override it
+ *   - `columns` {date, amount, debit, credit, payee, memo, checkNumber,
+ *     fitId, type, userDate}, header names or column indexes
+ *   - `header` false when the file has no header row
+ *   - `dateFormat` e.g. 'DD/MM/YYYY', defaults to 'YYYY-MM-DD'
+ *   - `delimiter` defaults to ','
+ *   - `decimal` decimal separator, defaults to '.'
+ *   - `invert` flip the sign of amounts, for cards listing charges as positive
+ *   - `account` {id, type, bankId, accountType, currency}
+ *
+ * @param  {String} str
+ * @param  {Object} mapping
+ * @return {Object} normalized statement
+ */
+
+Import.parseCsv = function (str, mapping) {
+  var preset = PRESETS[mapping && mapping.preset] || {};
+  mapping = merge(preset, mapping || {});
+  mapping.account = merge(preset.account || {}, mapping.account || {});
+  if (mapping.preset && !PRESETS[mapping.preset]) throw new TypeError('Unknown CSV preset: ' + mapping.preset);
+
+  var columns = mapping.columns || PRESETS.generic.columns
+    , rows = csvRows(String(str), mapping.delimiter || ',')
+    , index = {}
+    , start = 0;
+
+  if (!has(columns, 'date') || !(has(columns, 'amount') || has(columns, 'debit') || has(columns, 'credit'))) {
+    throw new TypeError('A CSV mapping needs a date and an amount or debit / credit column');
+  }
+
+  if (mapping.header === false) {
+    index = columns;
+  } else {
+    // the header is the first row naming the date and amount columns, so
+    // preambles are skipped. Other mapped columns are optional
+    var header;
+    for (; start < rows.length; start++) {
+      header = rows[start].fields.map(function (field) { return field.trim(); });
+      if (named(header, columns, 'date')
+        && (named(header, columns, 'amount') || named(header, columns, 'debit') || named(header, columns, 'credit'))) break;
+    }
+    if (start === rows.length) {
+      var amounts = ['amount', 'debit', 'credit'].filter(function (key) { return has(columns, key); });
+      throw new errors.OfxParseError('No header row with the columns ' + columns.date + ', ' +
+        amounts.map(function (key) { return columns[key]; }).join(' / '), 1, 1);
+    }
+    Object.keys(columns).forEach(function (key) {
+      index[key] = header.indexOf(columns[key]);
+    });
+    start++;
+  }
+
+  var account = newAccount(mapping.account)
+    , sign = mapping.invert ? -1 : 1;
+
+  rows.slice(start).forEach(function (row) {
+    var fields = row.fields;
+    if (fields.every(function (field) { return !field.trim(); })) return;
+
+    function get(key) {
+      var i = index[key];
+      return typeof i === 'number' && i >= 0 && typeof fields[i] !== 'undefined' ? fields[i].trim() : '';
+    }
+
+    var amount;
+    if (typeof index.amount === 'number' && index.amount >= 0) {
+      amount = parseNumber(get('amount'), mapping.decimal);
+    } else {
+      var debit = parseNumber(get('debit'), mapping.decimal)
+        , credit = parseNumber(get('credit'), mapping.decimal);
+      amount = debit === null && credit === null ? null : (credit || 0) - Math.abs(debit || 0);
+    }
+
+    var date = parseDate(get('date'), mapping.dateFormat);
+    if (!date) throw new errors.OfxParseError('Invalid date "' + get('date') + '"', row.line, 1);
+    if (amount === null) throw new errors.OfxParseError('Invalid amount', row.line, 1);
+
+    account.transactions.push(transaction({
+      date: date,
+      userDate: parseDate(get('userDate'), mapping.dateFormat),
+      amount: amount * sign,
+      payee: get('payee'),
+      memo: get('memo'),
+      checkNumber: get('checkNumber'),
+      fitId: get('fitId'),
+      type: get('type')
+    }));
+  });
+
+  return statement([account]);
+};
+
+/**
+ * Read a QIF file into a normalized statement. Every `!Type:` section (or
+ * `!Account`) becomes an account; investment sections keep their buys,
+ * sells and income as investment transactions.
+ *
+ * @param  {String} str
+ * @param  {Object} [opts] {dateFormat: 'MM/DD/YYYY', decimal: '.', account: {id, bankId, brokerId, currency}}
+ * @return {Object} normalized statement
+ */
+
+Import.parseQif = function (str, opts) {
+  opts = opts || {};
+  var lines = String(str).split(/\r?\n/)
+    , accounts = []
+    , securities = {}
+    , account = null
+    , accountName = null
+    , inAccountList = false
+    , skip = false
+    , record = {};
+
+  lines.forEach(function (line, i) {
+    line = line.replace(/\s+$/, '');
+    if (!line) return;
+
+    if (line.charAt(0) === '!') {
+      var header = line.slice(1);
+      inAccountList = /^Account/i.test(header);
+      skip = false;
+      record = {};
+      if (inAccountList || /^(Option|Clear)/i.test(header)) return;
+
+      var type = QIF_TYPES[header.replace(/^Type:/i, '')];
+      if (!type) {
+        // categories, classes, memorized transactions...
+        skip = true;
+        return;
+      }
+      account = newAccount(merge(opts.account || {}, {
+        id: accountName || (opts.account && opts.account.id) || null,
+        type: type.type,
+        accountType: type.accountType
+      }));
+      accounts.push(account);
+      return;
+    }
+
+    if (line.charAt(0) === '^') {
+      if (inAccountList) {
+        accountName = record.N || accountName;
+      } else if (account && !skip && record.D) {
+        addQifRecord(account, record, securities, opts, i + 1);
+      }
+      record = {};
+      return;
+    }
+
+    if (skip) return;
+    if (!account && !inAccountList) throw new errors.OfxParseError('Expected a !Type header', i + 1, 1);
+
+    var code = line.charAt(0);
+    // split lines (S, E, $) only refine the category
+    if (!record[code]) record[code] = line.slice(1).trim();
+  });
+
+  var stmt = statement(accounts);
+  stmt.securities = Object.keys(securities).map(function (name) { return securities[name]; });
+  return stmt;
+};
+
+/**
+ * Add a QIF record to its account
+ * @api private
+ */
+
+function addQifRecord(account, record, securities, opts, line) {
+  var date = parseDate(record.D, opts.dateFormat || 'MM/DD/YYYY');
+  if (!date) throw new errors.OfxParseError('Invalid date "' + record.D + '"', line, 1);
+
+  var amount = parseNumber(record.T || record.U, opts.decimal);
+  var action = account.type === 'investment' && record.N ? record.N.replace(/X$/, '') : null;
+
+  if (!action || !QIF_ACTIONS[action]) {
+    if (action && QIF_WITHDRAWALS.indexOf(action) !== -1) amount = -Math.abs(amount || 0);
+    if (amount === null) throw new errors.OfxParseError('Invalid amount', line, 1);
+    account.transactions.push(transaction({
+      date: date,
+      amount: amount,
+      payee: record.P || (action ? record.N : null),
+      memo: record.M,
+      checkNumber: action ? null : record.N
+    }));
+    return;
+  }
+
+  var def = QIF_ACTIONS[action]
+    , units = parseNumber(record.Q, opts.decimal)
+    , security = qifSecurity(record.Y, securities);
+
+  if (units !== null && (def[1] === 'SELL' || def[1] === 'SELLSHORT' || def[1] === 'OUT')) units = -Math.abs(units);
+
+  account.investmentTransactions.push({
+    accountId: account.id,
+    type: def[0],
+    action: def[1],
+    fitId: fitId([date.toISOString(), record.N, record.Y, record.Q, amount], account.fitIds),
+    tradeDate: date,
+    settleDate: null,
+    memo: record.M || null,
+    securityId: security && security.id,
+    securityIdType: security && security.idType,
+    security: security,
+    units: units,
+    unitPrice: parseNumber(record.I, opts.decimal),
+    commission: parseNumber(record.O, opts.decimal),
+    fees: null,
+    taxes: null,
+    total: amount === null ? null : def[2] * Math.abs(amount),
+    subAccount: 'CASH',
+    subAccountFund: 'CASH'
+  });
+}
+
+/**
+ * The security a QIF `Y` line names. Ticker like names are kept as tickers.
+ * @api private
+ */
+
+function qifSecurity(name, securities) {
+  if (!name) return null;
+  if (securities[name]) return securities[name];
+  var ticker = /^[A-Z][A-Z0-9.\-]{0,9}$/.test(name);
+  return (securities[name] = {
+    id: name,
+    idType: ticker ? 'TICKER' : 'NAME',
+    type: 'stock',
+    name: name,
+    ticker: ticker ? name : null,
+    unitPrice: null,
+    priceDate: null,
+    memo: null
+  });
+}
+
+/**
+ * A normalized account to fill
+ * @api private
+ */
+
+function newAccount(opts) {
+  var type = opts.type || 'bank';
+  return {
+    type: type,
+    id: opts.id || null,
+    bankId: opts.bankId || null,
+    brokerId: opts.brokerId || null,
+    accountType: opts.accountType || (type === 'creditcard' ? 'CREDITCARD' : type === 'investment' ? 'INVESTMENT' : 'CHECKING'),
+    currency: opts.currency || 'USD',
+    transactions: [],
+    investmentTransactions: type === 'investment' ? [] : undefined,
+    // FITIDs handed out so far, to number identical transactions
+    fitIds: {}
+  };
+}
+
+/**
+ * A normalized transaction, with a FITID derived from its content when the
+ * file has none so imports of overlapping downloads line up
+ * @api private
+ */
+
+function transaction(trn) {
+  return {
+    type: trn.type || (trn.checkNumber ? 'CHECK' : trn.amount < 0 ? 'DEBIT' : 'CREDIT'),
+    date: trn.date,
+    userDate: trn.userDate || null,
+    amount: trn.amount,
+    fitId: trn.fitId || null,
+    payee: trn.payee || null,
+    memo: trn.memo || null,
+    checkNumber: trn.checkNumber || null
+  };
+}
+
+/**
+ * Finish the accounts: FITIDs, date ranges, and no bookkeeping fields
+ * @api private
+ */
+
+function statement(accounts) {
+  accounts.forEach(function (account) {
+    account.transactions.forEach(function (trn) {
+      trn.accountId = account.id;
+      trn.fitId = trn.fitId || fitId([trn.date.toISOString(), trn.amount, trn.payee, trn.checkNumber], account.fitIds);
+    });
+    var dates = account.transactions.map(function (trn) { return trn.date; })
+      .concat((account.investmentTransactions || []).map(function (trn) { return trn.tradeDate; }))
+      .sort(function (a, b) { return a - b; });
+    account.start = dates[0] || null;
+    account.end = dates[dates.length - 1] || null;
+    delete account.fitIds;
+    if (!account.investmentTransactions) delete account.investmentTransactions;
+  });
+
+  return { accounts: accounts, securities: [] };
+}
+
+function fitId(parts, seen) {
+  var hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex').substring(0, 16);
+  seen[hash] = (seen[hash] || 0) + 1;
+  return seen[hash] > 1 ? hash + '-' + seen[hash] : hash;
+}
+
+/**
+ * Parse a date given a format such as 'MM/DD/YYYY' or 'DD.MM.YY'. Only the
+ * order of the day, month and year matters. Two digit years after an
+ * apostrophe (QIF) are in the 2000s.
+ * @api private
+ */
+
+function parseDate(str, format) {
+  if (!str) return null;
+  format = format || (/^\d{4}/.test(str) ? 'YYYY-MM-DD' : 'MM/DD/YYYY');
+
+  var order = ['Y', 'M', 'D'].sort(function (a, b) {
+    return format.indexOf(a) - format.indexOf(b);
+  });
+  var nums = str.match(/\d+/g);
+  if (!nums || nums.length < 3) return null;
+
+  var parts = {};
+  order.forEach(function (key, i) { parts[key] = parseInt(nums[i], 10); });
+
+  if (nums[order.indexOf('Y')].length <= 2) {
+    parts.Y += str.indexOf('\'') !== -1 || parts.Y < 70 ? 2000 : 1900;
+  }
+  if (parts.M < 1 || parts.M > 12 || parts.D < 1 || parts.D > 31) return null;
+  return new Date(Date.UTC(parts.Y, parts.M - 1, parts.D));
+}
+
+/**
+ * Parse an amount such as '-1,234.56', '(12.00)', '$5' or '1.234,56'
+ * @api private
+ */
+
+function parseNumber(str, decimal) {
+  if (typeof str === 'undefined' || str === null) return null;
+  str = String(str).trim();
+  if (!str) return null;
+
+  var negative = /^\(.*\)$/.test(str) || /^-|-$|^[^\d]*-/.test(str);
+  var num = decimal === ','
+    ? str.replace(/[^\d,]/g, '').replace(',', '.')
+    : str.replace(/[^\d.]/g, '');
+
+  num = parseFloat(num);
+  if (isNaN(num)) return null;
+  return negative ? -num : num;
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quotes
+ * @api private
+ */
+
+function csvRows(str, delimiter) {
+  var rows = []
+    , fields = []
+    , field = ''
+    , quoted = false
+    , line = 1
+    , rowLine = 1;
+
+  for (var i = 0; i < str.length; i++) {
+    var c = str.charAt(i);
+
+    if (quoted) {
+      if (c === '"' && str.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && str.charAt(i + 1) === '\n') i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields: fields });
+      fields = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += c;
+    }
+  }
+
+  if (field || fields.length) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields: fields });
+  }
+
+  return rows;
+}
+
+function merge(base, obj) {
+  var res = {};
+  Object.keys(base).forEach(function (key) { res[key] = base[key]; });
+  Object.keys(obj).forEach(function (key) {
+    if (typeof obj[key] !== 'undefined') res[key] = obj[key];
+  });
+  return res;
+}
+
+function has(columns, key) {
+  return typeof columns[key] !== 'undefined' && columns[key] !== null && columns[key] !== '';
+}
+
+function named(header, columns, key) {
+  return has(columns, key) && header.indexOf(columns[key]) !== -1;
+}
@@ -0,0 +1,128 @@
+/*!
+ * institutions
+ * Directory of financial institutions and the Banking options they need
+ */
+
+var fs = require('fs')
+  , util = require('./utils')
+  , bundled = require('./institutions.json');
+
+/**
+ * Keys of an entry that describe it rather than configure Banking
+ */
+
+var DESCRIPTIVE = ['id', 'name'];
+
+/**
+ * Entries by lower case id
+ */
+
+var registry = {};
+
+/**
+ * expose institutions
+ */
+
+var Institutions = module.exports = {};
+
+/**
+ * Find an institution by id, FID or name (case insensitive)
+ * @param  {String|Number} query e.g. 'discover', 7101 or 'Discover Card'
+ * @return {Object|null} a copy of the entry
+ */
+
+Institutions.find = function (query) {
+  var q = String(query).toLowerCase()
+    , all = values();
+
+  var match = registry[q]
+    || all.filter(function (inst) { return String(inst.fid) === q; })[0]
+    || all.filter(function (inst) { return (inst.name || '').toLowerCase() === q; })[0];
+
+  return match ? copy(match) : null;
+};
+
+/**
+ * Institutions whose id or name contains `query`, all of them without one
+ * @param  {String} [query]
+ * @return {Array}
+ */
+
+Institutions.search = function (query) {
+  var q = String(query || '').toLowerCase();
+  return values().filter(function (inst) {
+    return inst.id.indexOf(q) !== -1 || (inst.name || '').toLowerCase().indexOf(q) !== -1;
+  }).map(copy);
+};
+
+/**
+ * Add entries to the directory, replacing bundled ones with the same id
+ * @param  {Object|Array} entries {id, name, fid, fidOrg, url, ...Banking options}
+ * @return {Object} Institutions
+ */
+
+Institutions.add = function (entries) {
+  util.toArray(entries).forEach(function (inst) {
+    if (!inst || !inst.id || !inst.fid || !inst.url) {
+      throw new TypeError('Institutions need an id, fid and url: ' + JSON.stringify(inst));
+    }
+    var entry = copy(inst);
+    entry.id = String(entry.id).toLowerCase();
+    registry[entry.id] = entry;
+  });
+  return Institutions;
+};
+
+/**
+ * Add the entries of a local JSON file, a list of entries
+ * @param  {String}   file
+ * @param  {Function} [fn] callback(err, entries), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+
+Institutions.load = function (file, fn) {
+  return util.nodeify(function (resolve, reject) {
+    fs.readFile(file, 'utf8', function (err, str) {
+      if (err) return reject(err);
+      var entries;
+      try {
+        entries = JSON.parse(str);
+        Institutions.add(entries);
+      } catch (e) {
+        return reject(e);
+      }
+      resolve(util.toArray(entries));
+    });
+  }, fn);
+};
+
+/**
+ * Banking options of an institution with the user's own settings on top
+ * @param  {String|Number} query see Institutions.find
+ * @param  {Object} [settings] user, password, accId, ...
+ * @return {Object}
+ */
+
+Institutions.options = function (query, settings) {
+  var inst = Institutions.find(query);
+  if (!inst) throw new Error('Unknown institution: ' + query);
+
+  var opts = {};
+  Object.keys(inst).forEach(function (key) {
+    if (DESCRIPTIVE.indexOf(key) === -1) opts[key] = inst[key];
+  });
+  Object.keys(settings || {}).forEach(function (key) {
+    opts[key] = settings[key];
+  });
+  return opts;
+};
+
+Institutions.add(bundled);
+
+function values() {
+  return Object.keys(registry).sort().map(function (id) { return registry[id]; });
+}
+
+function copy(inst) {
+  return JSON.parse(JSON.stringify(inst));
+}
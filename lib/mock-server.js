@@ -0,0 +1,439 @@
+/*!
+ * mock-server
+ * Local OFX server answering the requests built by lib/ofx for offline tests
+ */
+
+var fs = require('fs')
+  , http = require('http')
+  , sgml = require('./sgml')
+  , ofx = require('./ofx')
+  , util = require('./utils')
+  , dates = require('./dates')
+  , errors = require('./errors')
+  , serialize = require('./serialize');
+
+/**
+ * Request transactions the server knows and their kind
+ */
+
+var REQUESTS = {
+  ACCTINFOTRNRQ: 'accounts',
+  STMTTRNRQ: 'statement',
+  CCSTMTTRNRQ: 'statement',
+  INVSTMTTRNRQ: 'statement',
+  PROFTRNRQ: 'profile',
+  STMTENDTRNRQ: 'closing',
+  CCSTMTENDTRNRQ: 'closing',
+  PAYEESYNCRQ: 'payees',
+  PMTINQTRNRQ: 'payment'
+};
+
+var ACCOUNT_TYPES = {
+  STMTTRNRQ: 'bank',
+  CCSTMTTRNRQ: 'creditcard',
+  INVSTMTTRNRQ: 'investment'
+};
+
+var PAYEES = ['GROCERY OUTLET', 'CITY WATER', 'COFFEE HOUSE', 'GAS STATION', 'BOOK STORE'];
+
+var DAY = 86400000;
+
+/**
+ * expose MockServer
+ */
+
+module.exports = MockServer;
+
+/**
+ * A fake OFX server. Statements and account lists are generated, or taken
+ * from `accounts`; any request can be answered from a fixture instead.
+ *
+ * Options:
+ *
+ *   - `user`, `password` credentials to accept, anything goes when omitted
+ *   - `accounts` normalized accounts to serve (see Banking.normalize)
+ *   - `fixtures` OFX documents or file paths keyed by request kind:
+ *     accounts, statement, profile, closing, payees, payment
+ *   - `error` OFX status code to answer with, or codes keyed by request kind
+ *   - `httpStatus` HTTP status to answer with, e.g. 503
+ *   - `mfa` {challenges: [{id, label}], answers: {id: answer}} to require
+ *   - `delay` ms to wait before answering
+ *
+ * @param {Object} [opts]
+ */
+
+function MockServer(opts) {
+  if (!(this instanceof MockServer)) return new MockServer(opts);
+  this.opts = opts || {};
+  this.requests = [];
+  this.rawHeaders = [];
+  this.accessKeys = {};
+  this.userKeys = {};
+  this.server = null;
+  this.url = null;
+}
+
+/**
+ * Create a mock server
+ * @param  {Object} [opts]
+ * @return {MockServer}
+ */
+
+MockServer.createServer = function (opts) {
+  return new MockServer(opts);
+};
+
+/**
+ * Answer an OFX request
+ * @param  {String} payload
+ * @return {Object} {statusCode, body}
+ */
+
+MockServer.prototype.respond = function (payload) {
+  var opts = this.opts;
+  this.requests.push(payload);
+
+  if (opts.httpStatus && (opts.httpStatus < 200 || opts.httpStatus >= 300)) {
+    return { statusCode: opts.httpStatus, body: 'Mock server error ' + opts.httpStatus };
+  }
+
+  var req;
+  try {
+    req = sgml.parse(String(payload));
+  } catch (err) {
+    return { statusCode: 400, body: err.message };
+  }
+
+  var header = ofx.parseHeader(req.header)
+    , rq = req.body.OFX
+    , signOnRq = rq.SIGNONMSGSRQV1 || {}
+    , res = { SIGNONMSGSRSV1: {} }
+    , trn = findTransaction(rq)
+    , kind = trn && REQUESTS[trn.name]
+    , code = this._error(kind);
+
+  var signOn = this._signOn(signOnRq.SONRQ || {}, signOnRq.MFACHALLENGETRNRQ, res.SIGNONMSGSRSV1);
+  if (code && isAuthCode(code)) signOn.STATUS = status(code);
+  res.SIGNONMSGSRSV1.SONRS = signOn;
+
+  if (signOn.STATUS.CODE === '0' && trn) {
+    if (!code && opts.fixtures && opts.fixtures[kind]) {
+      return { statusCode: 200, body: fixture(opts.fixtures[kind]) };
+    }
+    var rs = {};
+    rs[trn.name.replace(/RQ$/, 'RS')] = code
+      ? { TRNUID: trn.value.TRNUID, STATUS: status(code) }
+      : this._transaction(kind, trn);
+    res[trn.set.replace(/RQV(\d)$/, 'RSV$1')] = rs;
+  }
+
+  return {
+    statusCode: 200,
+    body: ofx.serialize({ OFX: res }, { version: header.VERSION || '102' })
+  };
+};
+
+/**
+ * A transport for `Banking({transport})` answering in process
+ * @return {Function} transport(opts, payload, callback)
+ */
+
+MockServer.prototype.transport = function () {
+  var self = this;
+
+  return function (opts, payload, fn) {
+    setTimeout(function () {
+      var res = self.respond(payload);
+      if (res.statusCode !== 200) {
+        return fn(new errors.OfxHttpError(res.statusCode, 'HTTP ' + res.statusCode + ' from mock server', res.body), res.body);
+      }
+      fn(null, res.body);
+    }, self.opts.delay || 0);
+  };
+};
+
+/**
+ * Start answering requests over HTTP. `url` is set once listening and the
+ * `req.rawHeaders` of each request are kept in `rawHeaders`.
+ * @param {Number}   [port] defaults to a free port
+ * @param {Function} [fn] callback(err, url), e.g. with EADDRINUSE
+ * @return {MockServer}
+ */
+
+MockServer.prototype.listen = function (port, fn) {
+  var self = this;
+  if (typeof port === 'function') fn = port, port = 0;
+
+  this.server = http.createServer(function (req, res) {
+    var body = '';
+    self.rawHeaders.push(req.rawHeaders);
+    req.setEncoding('utf8');
+    req.on('data', function (chunk) { body += chunk; });
+    req.on('end', function () {
+      setTimeout(function () {
+        var answer = self.respond(body);
+        res.writeHead(answer.statusCode, { 'Content-Type': 'application/x-ofx' });
+        res.end(answer.body);
+      }, self.opts.delay || 0);
+    });
+  });
+
+  function failed(err) {
+    self.server = null;
+    if (!fn) throw err;
+    fn(err);
+  }
+
+  this.server.once('error', failed);
+  this.server.listen(port || 0, '127.0.0.1', function () {
+    self.server.removeListener('error', failed);
+    self.url = 'http://127.0.0.1:' + self.server.address().port + '/ofx';
+    if (fn) fn(null, self.url);
+  });
+
+  return this;
+};
+
+/**
+ * Stop listening
+ * @param {Function} [fn]
+ */
+
+MockServer.prototype.close = function (fn) {
+  if (!this.server) return fn && process.nextTick(fn);
+  this.server.close(fn);
+  this.server = null;
+};
+
+/**
+ * The configured error code for a kind of request
+ * @api private
+ */
+
+MockServer.prototype._error = function (kind) {
+  var error = this.opts.error;
+  if (!error) return 0;
+  if (typeof error === 'object') return error[kind] || 0;
+  return error;
+};
+
+/**
+ * Check the signon credentials and walk through the MFA challenge flow
+ * @return {Object} SONRS
+ * @api private
+ */
+
+MockServer.prototype._signOn = function (sonrq, challengeRq, signOnRs) {
+  var opts = this.opts
+    , mfa = opts.mfa
+    , sonrs = { STATUS: status(0), DTSERVER: new Date(), LANGUAGE: 'ENG' };
+
+  var known = sonrq.USERKEY
+    ? this.userKeys[sonrq.USERKEY]
+    : !opts.user || (sonrq.USERID === String(opts.user) && sonrq.USERPASS === String(opts.password));
+
+  if (!known) {
+    sonrs.STATUS = status(sonrq.USERKEY ? 15510 : 15500);
+    return sonrs;
+  }
+
+  if (sonrq.GENUSERKEY === 'Y') {
+    sonrs.USERKEY = util.uuid(16);
+    sonrs.TSKEYEXPIRE = new Date(Date.now() + 30 * DAY);
+    this.userKeys[sonrs.USERKEY] = true;
+  }
+
+  if (!mfa || this.accessKeys[sonrq.ACCESSKEY]) return sonrs;
+
+  var answers = util.toArray(sonrq.MFACHALLENGEANSWER);
+  if (!answers.length) {
+    sonrs.STATUS = status(3000);
+    if (challengeRq) {
+      signOnRs.MFACHALLENGETRNRS = {
+        TRNUID: challengeRq.TRNUID,
+        STATUS: status(0),
+        MFACHALLENGERS: {
+          MFACHALLENGE: mfa.challenges.map(function (challenge) {
+            return { MFAPHRASEID: challenge.id, MFAPHRASELABEL: challenge.label };
+          })
+        }
+      };
+    }
+    return sonrs;
+  }
+
+  var correct = mfa.challenges.every(function (challenge) {
+    return answers.some(function (answer) {
+      return answer.MFAPRHASEID === challenge.id &&
+        answer.MFAPHRASEA === String((mfa.answers || {})[challenge.id]);
+    });
+  });
+
+  if (!correct) {
+    sonrs.STATUS = status(3001);
+    return sonrs;
+  }
+
+  sonrs.ACCESSKEY = util.uuid(32);
+  this.accessKeys[sonrs.ACCESSKEY] = true;
+  return sonrs;
+};
+
+/**
+ * Generate the response transaction for a request
+ * @return {Object} *TRNRS
+ * @api private
+ */
+
+MockServer.prototype._transaction = function (kind, trn) {
+  var trnrs = { TRNUID: trn.value.TRNUID, STATUS: status(0) };
+
+  if (kind === 'accounts') {
+    trnrs.ACCTINFORS = {
+      DTACCTUP: new Date(),
+      ACCTINFO: this._accounts().map(accountInfo)
+    };
+    return trnrs;
+  }
+
+  if (kind !== 'statement') {
+    trnrs.STATUS = status(2000, 'Not supported by the mock server, add a fixture');
+    return trnrs;
+  }
+
+  var rq = trn.value[trn.name.replace(/TRNRQ$/, 'RQ')] || {}
+    , from = rq.BANKACCTFROM || rq.CCACCTFROM || rq.INVACCTFROM || {}
+    , range = rq.INCTRAN || {}
+    , end = dates.parse(range.DTEND) || new Date()
+    , start = dates.parse(range.DTSTART) || new Date(end - 30 * DAY)
+    , type = ACCOUNT_TYPES[trn.name];
+
+  var account = this._accounts(type, from).filter(function (acct) {
+    return acct.id === from.ACCTID;
+  })[0];
+
+  if (!account) {
+    trnrs.STATUS = status(2003);
+    return trnrs;
+  }
+
+  var stmt = {};
+  for (var key in account) stmt[key] = account[key];
+  stmt.start = start;
+  stmt.end = end;
+  stmt.transactions = (account.transactions || generate(account, start, end)).filter(function (t) {
+    return t.date >= start && t.date <= end;
+  });
+  stmt.ledgerBalance = account.ledgerBalance || {
+    amount: stmt.transactions.reduce(function (sum, t) { return sum + t.amount; }, 1000),
+    date: end
+  };
+
+  var tree = serialize.toTree({ accounts: [stmt] }).OFX;
+  for (var set in tree) {
+    if (set === 'SIGNONMSGSRSV1') continue;
+    for (var name in tree[set]) {
+      trnrs = tree[set][name];
+      trnrs.TRNUID = trn.value.TRNUID;
+    }
+  }
+  return trnrs;
+};
+
+/**
+ * The configured accounts, or one generated for the requested account
+ * @api private
+ */
+
+MockServer.prototype._accounts = function (type, from) {
+  if (this.opts.accounts) return this.opts.accounts;
+  from = from || {};
+  return [{
+    type: type || 'bank',
+    id: from.ACCTID || '1234567890',
+    bankId: from.BANKID || '000000000',
+    brokerId: from.BROKERID || null,
+    accountType: from.ACCTTYPE || 'CHECKING',
+    currency: 'USD'
+  }];
+};
+
+/**
+ * Find the first request transaction outside of the signon message set
+ * @return {Object|null} {set, name, value}
+ * @api private
+ */
+
+function findTransaction(rq) {
+  for (var set in rq) {
+    if (set === 'SIGNONMSGSRQV1' || typeof rq[set] !== 'object') continue;
+    for (var name in rq[set]) {
+      if (REQUESTS[name]) return { set: set, name: name, value: util.toArray(rq[set][name])[0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * ACCTINFO for a normalized account
+ * @api private
+ */
+
+function accountInfo(account) {
+  var info = { DESC: account.name || account.accountType || account.type };
+  var service = { SUPTXDL: 'Y', XFERSRC: 'N', XFERDEST: 'N', SVCSTATUS: 'ACTIVE' };
+
+  if (account.type === 'creditcard') {
+    info.CCACCTINFO = mixin({ CCACCTFROM: { ACCTID: account.id } }, service);
+  } else if (account.type === 'investment') {
+    info.INVACCTINFO = mixin({ INVACCTFROM: { BROKERID: account.brokerId, ACCTID: account.id } }, service);
+  } else {
+    info.BANKACCTINFO = mixin({
+      BANKACCTFROM: { BANKID: account.bankId, ACCTID: account.id, ACCTTYPE: account.accountType || 'CHECKING' }
+    }, service);
+  }
+
+  return info;
+}
+
+/**
+ * Deterministic transactions, one every third day of the range
+ * @api private
+ */
+
+function generate(account, start, end) {
+  var trns = [];
+
+  for (var n = Math.ceil(start / DAY); n * DAY <= end; n++) {
+    if (n % 3) continue;
+    var amount = n % 15 === 0 ? 1500 : -((n * 7919) % 20000 + 100) / 100;
+    trns.push({
+      type: amount < 0 ? 'DEBIT' : 'CREDIT',
+      date: new Date(n * DAY),
+      amount: amount,
+      fitId: account.id + '-' + n,
+      payee: amount < 0 ? PAYEES[n % PAYEES.length] : 'PAYROLL',
+      memo: null
+    });
+  }
+
+  return trns;
+}
+
+function status(code, message) {
+  if (!code) return { CODE: '0', SEVERITY: 'INFO' };
+  return { CODE: String(code), SEVERITY: 'ERROR', MESSAGE: message || errors.CODES[code] || 'Mock error' };
+}
+
+function isAuthCode(code) {
+  return errors.fromStatus({ CODE: code }) instanceof errors.OfxAuthError;
+}
+
+function fixture(val) {
+  return /<OFX>/i.test(val) ? val : fs.readFileSync(val, 'utf8');
+}
+
+function mixin(obj, props) {
+  for (var key in props) obj[key] = props[key];
+  return obj;
+}
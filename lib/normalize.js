@@ -0,0 +1,552 @@
+/*!
+ * normalize
+ * Turns the raw OFX.parse tree into a stable statement model
+ */
+
+var util = require('./utils')
+  , dates = require('./dates');
+
+/**
+ * Where each statement type lives in the response tree
+ */
+
+var STATEMENTS = [
+  { type: 'bank', msgs: 'BANKMSGSRSV1', trnrs: 'STMTTRNRS', rs: 'STMTRS', from: 'BANKACCTFROM', tranList: 'BANKTRANLIST' },
+  { type: 'creditcard', msgs: 'CREDITCARDMSGSRSV1', trnrs: 'CCSTMTTRNRS', rs: 'CCSTMTRS', from: 'CCACCTFROM', tranList: 'BANKTRANLIST' },
+  { type: 'investment', msgs: 'INVSTMTMSGSRSV1', trnrs: 'INVSTMTTRNRS', rs: 'INVSTMTRS', from: 'INVACCTFROM', tranList: 'INVTRANLIST' }
+];
+
+/**
+ * Account types by their ACCTINFO aggregate
+ */
+
+var ACCOUNT_INFO = [
+  { type: 'bank', info: 'BANKACCTINFO', from: 'BANKACCTFROM' },
+  { type: 'creditcard', info: 'CCACCTINFO', from: 'CCACCTFROM' },
+  { type: 'investment', info: 'INVACCTINFO', from: 'INVACCTFROM' }
+];
+
+/**
+ * Security types by their SECLIST / INVPOSLIST aggregate
+ */
+
+var SECURITIES = { STOCKINFO: 'stock', MFINFO: 'mutualfund', OPTINFO: 'option', DEBTINFO: 'debt', OTHERINFO: 'other' };
+
+var POSITIONS = { POSSTOCK: 'stock', POSMF: 'mutualfund', POSOPT: 'option', POSDEBT: 'debt', POSOTHER: 'other' };
+
+/**
+ * Investment transaction aggregates and the kind of activity they record
+ */
+
+var INVESTMENT_TRANSACTIONS = {
+  BUYDEBT: 'buy', BUYMF: 'buy', BUYOPT: 'buy', BUYOTHER: 'buy', BUYSTOCK: 'buy',
+  SELLDEBT: 'sell', SELLMF: 'sell', SELLOPT: 'sell', SELLOTHER: 'sell', SELLSTOCK: 'sell',
+  INCOME: 'income',
+  REINVEST: 'reinvest',
+  TRANSFER: 'transfer',
+  INVEXPENSE: 'expense',
+  MARGININTEREST: 'interest',
+  RETOFCAP: 'returnofcapital',
+  SPLIT: 'split',
+  CLOSUREOPT: 'closure',
+  JRNLFUND: 'journal',
+  JRNLSEC: 'journal'
+};
+
+/**
+ * expose normalize
+ */
+
+module.exports = normalize;
+
+normalize.transaction = transaction;
+normalize.investmentTransaction = investmentTransaction;
+
+/**
+ * Build a normalized statement object from an OFX.parse result
+ * @param  {Object} res result of OFX.parse (or its `body`)
+ * @return {Object}
+ */
+
+function normalize(res) {
+  var ofx = res && res.body ? res.body.OFX : res && res.OFX;
+  var data = {
+    accounts: [],
+    accountList: [],
+    transactions: [],
+    positions: [],
+    investmentTransactions: [],
+    securities: [],
+    closingStatements: [],
+    payees: [],
+    payments: [],
+    profile: null,
+    currency: null,
+    ledgerBalance: null,
+    availableBalance: null
+  };
+
+  if (!ofx) return data;
+
+  data.securities = securities(ofx.SECLISTMSGSRSV1);
+
+  STATEMENTS.forEach(function (def) {
+    if (!ofx[def.msgs]) return;
+    util.toArray(ofx[def.msgs]).forEach(function (msgs) {
+      util.toArray(msgs[def.trnrs]).forEach(function (trnrs) {
+        util.toArray(trnrs[def.rs]).forEach(function (rs) {
+          data.accounts.push(statement(def, rs, data.securities));
+        });
+      });
+    });
+  });
+
+  data.accountList = accountList(ofx.SIGNUPMSGSRSV1);
+  data.profile = profile(ofx.PROFMSGSRSV1);
+  data.closingStatements = closingStatements(ofx);
+  billPay(ofx.BILLPAYMSGSRSV1, data);
+
+  data.accounts.forEach(function (account) {
+    data.transactions = data.transactions.concat(account.transactions);
+    if (account.type !== 'investment') return;
+    data.positions = data.positions.concat(account.positions);
+    data.investmentTransactions = data.investmentTransactions.concat(account.investmentTransactions);
+  });
+
+  if (data.accounts.length) {
+    data.currency = data.accounts[0].currency;
+    data.ledgerBalance = data.accounts[0].ledgerBalance;
+    data.availableBalance = data.accounts[0].availableBalance;
+  }
+
+  return data;
+}
+
+/**
+ * Normalize a single STMTRS / CCSTMTRS / INVSTMTRS aggregate
+ * @param  {Object} def entry from STATEMENTS
+ * @param  {Object} rs
+ * @param  {Array} secs normalized securities list
+ * @return {Object}
+ */
+
+function statement(def, rs, secs) {
+  var from = rs[def.from] || {};
+  var tranList = rs[def.tranList] || {};
+  var account = {
+    type: def.type,
+    id: from.ACCTID || null,
+    bankId: from.BANKID || null,
+    brokerId: from.BROKERID || null,
+    accountType: from.ACCTTYPE || (def.type === 'creditcard' ? 'CREDITCARD' : def.type === 'investment' ? 'INVESTMENT' : null),
+    currency: rs.CURDEF || null,
+    start: dates.parse(tranList.DTSTART),
+    end: dates.parse(tranList.DTEND),
+    ledgerBalance: balance(rs.LEDGERBAL),
+    availableBalance: balance(rs.AVAILBAL),
+    transactions: []
+  };
+
+  var trns = util.toArray(tranList.STMTTRN);
+
+  if (def.type === 'investment') {
+    // Cash activity in an investment account is wrapped in INVBANKTRAN
+    trns = util.toArray(tranList.INVBANKTRAN).map(function (inv) {
+      return inv.STMTTRN;
+    }).filter(Boolean);
+
+    if (rs.INVBAL) {
+      account.availableBalance = {
+        amount: util.parseAmount(rs.INVBAL.AVAILCASH),
+        date: dates.parse(rs.DTASOF)
+      };
+    }
+
+    account.investmentBalance = investmentBalance(rs.INVBAL);
+    account.positions = positions(account, rs.INVPOSLIST, secs);
+    account.investmentTransactions = [];
+
+    Object.keys(tranList).forEach(function (name) {
+      if (!INVESTMENT_TRANSACTIONS[name]) return;
+      util.toArray(tranList[name]).forEach(function (trn) {
+        account.investmentTransactions.push(investmentTransaction(account, name, trn, secs));
+      });
+    });
+
+    account.investmentTransactions.sort(function (a, b) {
+      return (a.tradeDate || 0) - (b.tradeDate || 0);
+    });
+  }
+
+  account.transactions = trns.map(function (trn) {
+    return transaction(account, trn);
+  });
+
+  return account;
+}
+
+/**
+ * Normalize a LEDGERBAL / AVAILBAL aggregate
+ * @param  {Object} bal
+ * @return {Object|null}
+ */
+
+function balance(bal) {
+  if (!bal) return null;
+  return {
+    amount: util.parseAmount(bal.BALAMT),
+    date: dates.parse(bal.DTASOF)
+  };
+}
+
+/**
+ * Normalize a single STMTTRN aggregate
+ * @param  {Object} account
+ * @param  {Object} trn
+ * @return {Object}
+ */
+
+function transaction(account, trn) {
+  var payee = trn.NAME || (trn.PAYEE && trn.PAYEE.NAME) || null;
+
+  return {
+    accountId: account.id,
+    fitId: trn.FITID || null,
+    correctFitId: trn.CORRECTFITID || null,
+    correctAction: trn.CORRECTACTION || null, /* REPLACE or DELETE the transaction with correctFitId */
+    type: trn.TRNTYPE || null,
+    date: dates.parse(trn.DTPOSTED),
+    userDate: dates.parse(trn.DTUSER),
+    amount: util.parseAmount(trn.TRNAMT),
+    payee: payee,
+    memo: trn.MEMO || null,
+    checkNumber: trn.CHECKNUM || null
+  };
+}
+
+/**
+ * Normalize the SECLIST of a response
+ * @param  {Object} msgs SECLISTMSGSRSV1
+ * @return {Array}
+ */
+
+function securities(msgs) {
+  var list = [];
+
+  util.toArray(msgs).forEach(function (msg) {
+    util.toArray(msg.SECLIST).forEach(function (seclist) {
+      Object.keys(SECURITIES).forEach(function (name) {
+        util.toArray(seclist[name]).forEach(function (info) {
+          var sec = info.SECINFO || {};
+          var secId = sec.SECID || {};
+          list.push({
+            id: secId.UNIQUEID || null,
+            idType: secId.UNIQUEIDTYPE || null,
+            type: SECURITIES[name],
+            name: sec.SECNAME || null,
+            ticker: sec.TICKER || null,
+            unitPrice: util.parseAmount(sec.UNITPRICE),
+            priceDate: dates.parse(sec.DTASOF),
+            memo: sec.MEMO || null
+          });
+        });
+      });
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Find the security a SECID refers to, by unique id or ticker
+ * @param  {Object} secId
+ * @param  {Array} secs
+ * @return {Object|null}
+ */
+
+function findSecurity(secId, secs) {
+  if (!secId || !secs) return null;
+
+  var id = secId.UNIQUEID;
+  var type = secId.UNIQUEIDTYPE;
+
+  for (var i = 0; i < secs.length; i++) {
+    if (secs[i].id === id && (!type || !secs[i].idType || secs[i].idType === type)) return secs[i];
+  }
+  for (i = 0; i < secs.length; i++) {
+    if (secs[i].ticker && secs[i].ticker === id) return secs[i];
+  }
+  return null;
+}
+
+/**
+ * Normalize the INVPOSLIST of an investment statement
+ * @param  {Object} account
+ * @param  {Object} list INVPOSLIST
+ * @param  {Array} secs
+ * @return {Array}
+ */
+
+function positions(account, list, secs) {
+  var res = [];
+  if (!list) return res;
+
+  Object.keys(POSITIONS).forEach(function (name) {
+    util.toArray(list[name]).forEach(function (pos) {
+      var inv = pos.INVPOS || {};
+      var secId = inv.SECID || {};
+      res.push({
+        accountId: account.id,
+        type: POSITIONS[name],
+        securityId: secId.UNIQUEID || null,
+        securityIdType: secId.UNIQUEIDTYPE || null,
+        security: findSecurity(secId, secs),
+        heldIn: inv.HELDINACCT || null,
+        positionType: inv.POSTYPE || null,
+        units: util.parseAmount(inv.UNITS),
+        unitPrice: util.parseAmount(inv.UNITPRICE),
+        marketValue: util.parseAmount(inv.MKTVAL),
+        priceDate: dates.parse(inv.DTPRICEASOF),
+        memo: inv.MEMO || null
+      });
+    });
+  });
+
+  return res;
+}
+
+/**
+ * Normalize a typed investment transaction (BUYSTOCK, INCOME, REINVEST...)
+ * @param  {Object} account
+ * @param  {String} name aggregate name
+ * @param  {Object} trn
+ * @param  {Array} [secs]
+ * @return {Object}
+ */
+
+function investmentTransaction(account, name, trn, secs) {
+  // buys and sells keep their details in INVBUY / INVSELL
+  var detail = trn.INVBUY || trn.INVSELL || trn;
+  var invTran = detail.INVTRAN || {};
+  var secId = detail.SECID || {};
+
+  return {
+    accountId: account.id,
+    kind: INVESTMENT_TRANSACTIONS[name] || null,
+    type: name,
+    action: trn.BUYTYPE || trn.SELLTYPE || trn.INCOMETYPE || trn.TFERACTION ||
+      trn.OPTBUYTYPE || trn.OPTSELLTYPE || trn.OPTACTION || null,
+    fitId: invTran.FITID || null,
+    tradeDate: dates.parse(invTran.DTTRADE),
+    settleDate: dates.parse(invTran.DTSETTLE),
+    memo: invTran.MEMO || null,
+    securityId: secId.UNIQUEID || null,
+    securityIdType: secId.UNIQUEIDTYPE || null,
+    security: findSecurity(detail.SECID, secs),
+    units: util.parseAmount(detail.UNITS),
+    unitPrice: util.parseAmount(detail.UNITPRICE),
+    commission: util.parseAmount(detail.COMMISSION),
+    fees: util.parseAmount(detail.FEES),
+    taxes: util.parseAmount(detail.TAXES),
+    total: util.parseAmount(detail.TOTAL),
+    subAccount: detail.SUBACCTSEC || null,
+    subAccountFund: detail.SUBACCTFUND || null
+  };
+}
+
+/**
+ * Normalize an INVBAL aggregate
+ * @param  {Object} bal
+ * @return {Object|null}
+ */
+
+function investmentBalance(bal) {
+  if (!bal) return null;
+
+  return {
+    availableCash: util.parseAmount(bal.AVAILCASH),
+    marginBalance: util.parseAmount(bal.MARGINBALANCE),
+    shortBalance: util.parseAmount(bal.SHORTBALANCE),
+    buyingPower: util.parseAmount(bal.BUYPOWER),
+    balances: util.toArray(bal.BALLIST && bal.BALLIST.BAL).map(function (item) {
+      return {
+        name: item.NAME || null,
+        description: item.DESC || null,
+        type: item.BALTYPE || null,
+        value: util.parseAmount(item.VALUE),
+        date: dates.parse(item.DTASOF)
+      };
+    })
+  };
+}
+
+/**
+ * Normalize the ACCTINFO list of an account list response. Bill pay only
+ * entries (BPACCTINFO) are left out.
+ * @param  {Object} msgs SIGNUPMSGSRSV1
+ * @return {Array}
+ */
+
+function accountList(msgs) {
+  var list = [];
+  if (!msgs) return list;
+
+  util.toArray(msgs.ACCTINFOTRNRS).forEach(function (trnrs) {
+    util.toArray(trnrs.ACCTINFORS && trnrs.ACCTINFORS.ACCTINFO).forEach(function (info) {
+      ACCOUNT_INFO.forEach(function (def) {
+        var acct = info[def.info];
+        if (!acct) return;
+        var from = acct[def.from] || {};
+        list.push({
+          type: def.type,
+          id: from.ACCTID || null,
+          bankId: from.BANKID || null,
+          brokerId: from.BROKERID || null,
+          accountType: from.ACCTTYPE || (def.type === 'creditcard' ? 'CREDITCARD' : def.type === 'investment' ? 'INVESTMENT' : null),
+          description: info.DESC || null,
+          phone: info.PHONE || null,
+          status: acct.SVCSTATUS || null,
+          supportsDownload: acct.SUPTXDL === 'Y'
+        });
+      });
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Normalize a PROFRS: the institution and the message sets it supports
+ * @param  {Object} msgs PROFMSGSRSV1
+ * @return {Object|null}
+ */
+
+function profile(msgs) {
+  var trnrs = util.toArray(msgs && msgs.PROFTRNRS)[0];
+  var rs = trnrs && trnrs.PROFRS;
+  if (!rs) return null;
+
+  var messageSets = [];
+  var msgSetList = rs.MSGSETLIST || {};
+
+  Object.keys(msgSetList).forEach(function (name) {
+    util.toArray(msgSetList[name]).forEach(function (msgSet) {
+      Object.keys(msgSet).forEach(function (versioned) {
+        var core = msgSet[versioned].MSGSETCORE || {};
+        messageSets.push({
+          name: name,
+          version: core.VER || versioned.replace(/^.*V(\d+)$/, '$1'),
+          url: core.URL || null,
+          security: core.OFXSEC || null,
+          signOnRealm: core.SIGNONREALM || null,
+          language: core.LANGUAGE || null,
+          syncMode: core.SYNCMODE || null
+        });
+      });
+    });
+  });
+
+  return {
+    name: rs.FINAME || null,
+    updated: dates.parse(rs.DTPROFUP),
+    url: rs.URL || null,
+    email: rs.EMAIL || null,
+    phone: rs.CSPHONE || null,
+    messageSets: messageSets,
+    signOns: util.toArray(rs.SIGNONINFOLIST && rs.SIGNONINFOLIST.SIGNONINFO).map(function (info) {
+      return {
+        realm: info.SIGNONREALM || null,
+        min: parseInt(info.MIN, 10) || null,
+        max: parseInt(info.MAX, 10) || null,
+        charType: info.CHARTYPE || null,
+        caseSensitive: info.CASESEN === 'Y',
+        special: info.SPECIAL === 'Y',
+        spaces: info.SPACES === 'Y',
+        pinChange: info.PINCH === 'Y',
+        mfaChallenge: info.MFACHALLENGESUPT === 'Y'
+      };
+    })
+  };
+}
+
+/**
+ * Normalize the CLOSING aggregates of STMTENDRS / CCSTMTENDRS responses
+ * @param  {Object} ofx
+ * @return {Array}
+ */
+
+function closingStatements(ofx) {
+  var list = [];
+  var defs = [
+    { msgs: 'BANKMSGSRSV1', trnrs: 'STMTENDTRNRS', rs: 'STMTENDRS', from: 'BANKACCTFROM' },
+    { msgs: 'CREDITCARDMSGSRSV1', trnrs: 'CCSTMTENDTRNRS', rs: 'CCSTMTENDRS', from: 'CCACCTFROM' }
+  ];
+
+  defs.forEach(function (def) {
+    util.toArray(ofx[def.msgs]).forEach(function (msgs) {
+      util.toArray(msgs[def.trnrs]).forEach(function (trnrs) {
+        var rs = trnrs[def.rs];
+        if (!rs) return;
+        var from = rs[def.from] || {};
+        util.toArray(rs.CLOSING).forEach(function (closing) {
+          list.push({
+            accountId: from.ACCTID || null,
+            currency: rs.CURDEF || null,
+            fitId: closing.FITID || null,
+            openDate: dates.parse(closing.DTOPEN),
+            closeDate: dates.parse(closing.DTCLOSE),
+            nextDate: dates.parse(closing.DTNEXT),
+            openingBalance: util.parseAmount(closing.BALOPEN),
+            closingBalance: util.parseAmount(closing.BALCLOSE),
+            minimumPayment: util.parseAmount(closing.BALMINDUE),
+            dueDate: dates.parse(closing.DTPMTDUE),
+            postStart: dates.parse(closing.DTPOSTSTART),
+            postEnd: dates.parse(closing.DTPOSTEND)
+          });
+        });
+      });
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Normalize payee lists (PAYEESYNCRS) and payment inquiries (PMTINQRS)
+ * @param  {Object} msgs BILLPAYMSGSRSV1
+ * @param  {Object} data normalized statement to fill
+ */
+
+function billPay(msgs, data) {
+  util.toArray(msgs).forEach(function (msg) {
+    util.toArray(msg.PAYEESYNCRS).forEach(function (sync) {
+      util.toArray(sync.PAYEETRNRS).forEach(function (trnrs) {
+        var rs = trnrs.PAYEERS;
+        if (!rs) return;
+        var payee = rs.PAYEE || {};
+        data.payees.push({
+          id: rs.PAYEELSTID || null,
+          name: payee.NAME || null,
+          address: [payee.ADDR1, payee.ADDR2, payee.ADDR3].filter(Boolean),
+          city: payee.CITY || null,
+          state: payee.STATE || null,
+          postalCode: payee.POSTALCODE || null,
+          phone: payee.PHONE || null,
+          accountNumber: rs.PAYACCT || null
+        });
+      });
+    });
+
+    util.toArray(msg.PMTINQTRNRS).forEach(function (trnrs) {
+      var rs = trnrs.PMTINQRS;
+      if (!rs) return;
+      var status = rs.PMTPRCSTS || {};
+      data.payments.push({
+        serverId: rs.SRVRTID || null,
+        status: status.PMTPRCCODE || null,
+        date: dates.parse(status.DTPMTPRC),
+        checkNumber: rs.CHECKNUM || null
+      });
+    });
+  });
+}
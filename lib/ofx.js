@@ -4,36 +4,61 @@
  * @type {[type]}
  */
 
-var xml2js = require('xml2js')
-  , parser = new xml2js.Parser({explicitArray: false})
-  , util = require('./utils')
-  , debug = require('debug')('banking:ofx');
+var util = require('./utils')
+  , sgml = require('./sgml')
+  , normalize = require('./normalize')
+  , errors = require('./errors')
+  , serialize = require('./serialize')
+  , dates = require('./dates')
+  , debug = util.debug('banking:ofx');
 
 // expose OFX
 
 var OFX = module.exports = {};
 
-function getSignOnMsg(opts) {
-  var dtClient = (new Date()).toISOString().substring(0, 20).replace(/[^0-9]/g, '');
+// USERID and USERPASS for profile requests without credentials
+var ANONYMOUS = 'anonymous00000000000000000000000';
+
+function getSignOnMsg(opts, trnrq) {
+  var dtClient = dates.format(new Date());
+  var credentials = opts.userKey
+    ? '<USERKEY>' + util.escape(opts.userKey)
+    : '<USERID>' + util.escape(opts.user) + '<USERPASS>' + util.escape(opts.password);
 
   return '<SIGNONMSGSRQV1>' +
     '<SONRQ>' +
     '<DTCLIENT>' + dtClient +
-    '<USERID>' + opts.user +
-    '<USERPASS>' + opts.password +
+    credentials +
+    (opts.genUserKey ? '<GENUSERKEY>Y' : '') +
     '<LANGUAGE>ENG' +
     '<FI>' +
-    '<ORG>' + opts.fidOrg +
-    '<FID>' + opts.fid +
+    '<ORG>' + util.escape(opts.fidOrg) +
+    '<FID>' + util.escape(opts.fid) +
     '</FI>' +
-    '<APPID>' + opts.app +
-    '<APPVER>' + opts.appVer +
-    (typeof opts.clientId !== 'undefined' ? '<CLIENTUID>' + opts.clientId : '') +
+    (opts.sessCookie ? '<SESSCOOKIE>' + util.escape(opts.sessCookie) : '') +
+    '<APPID>' + util.escape(opts.app) +
+    '<APPVER>' + util.escape(opts.appVer) +
+    (typeof opts.clientId !== 'undefined' ? '<CLIENTUID>' + util.escape(opts.clientId) : '') +
+    (opts.accessKey ? '<ACCESSKEY>' + util.escape(opts.accessKey)
+      : opts.authToken ? '<AUTHTOKEN>' + util.escape(opts.authToken) : '') +
+    (opts.mfaAnswers || []).map(function (answer) {
+      return '<MFACHALLENGEANSWER>' +
+        '<MFAPRHASEID>' + util.escape(answer.id) +
+        '<MFAPHRASEA>' + util.escape(answer.answer) +
+        '</MFACHALLENGEANSWER>';
+    }).join('') +
     '</SONRQ>' +
+    (trnrq || '') +
     '</SIGNONMSGSRQV1>';
 }
 
 function getOfxHeaders(opts) {
+  if (isXml(opts)) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\r\n' +
+      '<?OFX OFXHEADER="200" VERSION="' + opts.ofxVer + '" SECURITY="NONE" ' +
+      'OLDFILEUID="NONE" NEWFILEUID="' + util.uuid(32) + '"?>\r\n';
+  }
+
   return 'OFXHEADER:100\r\n' +
     'DATA:OFXSGML\r\n' +
     'VERSION:' + opts.ofxVer + '\r\n' +
@@ -46,24 +71,65 @@ function getOfxHeaders(opts) {
     '\r\n';
 }
 
+/**
+ * OFX 2.x (ofxVer 200 and up) is XML, 1.x is SGML
+ * @param opts
+ * @returns {boolean}
+ */
+function isXml(opts) {
+  return parseInt(opts.ofxVer, 10) >= 200;
+}
+
+/**
+ * Add the end-tags XML requires to SGML leaf elements
+ * e.g. `<CODE>0<SEVERITY>INFO` becomes `<CODE>0</CODE><SEVERITY>INFO</SEVERITY>`
+ * @param str
+ * @returns {string}
+ */
+function closeTags(str) {
+  return str.replace(/<([A-Z0-9.]+)>([^<]+)/g, '<$1>$2</$1>');
+}
+
+/**
+ * DTSTART and DTEND of a request, each left out when it is not given
+ * @param opts {start, end}
+ * @returns {string}
+ */
+function dateRange(opts) {
+  return (typeof opts.start !== 'undefined' ? '<DTSTART>' + util.escape(dates.toOfx(opts.start)) : '') +
+    (typeof opts.end !== 'undefined' ? '<DTEND>' + util.escape(dates.toOfx(opts.end)) : '');
+}
+
+/**
+ * Wrap the message sets of a request in the OFX headers, root element and
+ * signon message
+ * @param opts
+ * @param msgs
+ * @param [trnrq] additional signon transaction
+ * @returns {string}
+ */
+function buildRequest(opts, msgs, trnrq) {
+  var body = '<OFX>' + getSignOnMsg(opts, trnrq) + msgs + '</OFX>';
+  if (isXml(opts)) body = closeTags(body);
+  return getOfxHeaders(opts) + body;
+}
+
 /**
  * Builds an OFX account list request
  * @param opts
  * @returns {string}
  */
 OFX.buildAccountListRequest = function (opts) {
-  var reqStr = getOfxHeaders(opts) + '<OFX>' + getSignOnMsg(opts);
-  reqStr += '<SIGNUPMSGSRQV1>' +
+  var reqStr = '<SIGNUPMSGSRQV1>' +
     '<ACCTINFOTRNRQ>' +
     '<TRNUID>' + util.uuid(32) +
     '<ACCTINFORQ>' +
     '<DTACCTUP>19900101' +
     '</ACCTINFORQ>' +
     '</ACCTINFOTRNRQ>' +
-    '</SIGNUPMSGSRQV1>' +
-    '</OFX>';
+    '</SIGNUPMSGSRQV1>';
 
-  return reqStr;
+  return buildRequest(opts, reqStr);
 };
 
 /**
@@ -73,7 +139,7 @@ OFX.buildAccountListRequest = function (opts) {
  */
 OFX.buildStatementRequest = function (opts) {
   var type = (opts.accType || '').toUpperCase();
-  var reqStr = getOfxHeaders(opts) + '<OFX>' + getSignOnMsg(opts);
+  var reqStr = '';
 
   switch (type) {
     case 'INVESTMENT':
@@ -83,12 +149,11 @@ OFX.buildStatementRequest = function (opts) {
         '<CLTCOOKIE>' + util.uuid(5) +
         '<INVSTMTRQ>' +
         '<INVACCTFROM>' +
-        '<BROKERID>' + opts.brokerId +
-        '<ACCTID>' + opts.accId +
+        '<BROKERID>' + util.escape(opts.brokerId) +
+        '<ACCTID>' + util.escape(opts.accId) +
         '</INVACCTFROM>' +
         '<INCTRAN>' +
-        '<DTSTART>' + opts.start +
-        (typeof opts.end !== 'undefined' ? '<DTEND>' + opts.end : '') +
+        dateRange(opts) +
         '<INCLUDE>Y</INCTRAN>' +
         '<INCOO>Y' +
         '<INCPOS>' +
@@ -107,11 +172,10 @@ OFX.buildStatementRequest = function (opts) {
         '<CLTCOOKIE>' + util.uuid(5) +
         '<CCSTMTRQ>' +
         '<CCACCTFROM>' +
-        '<ACCTID>' + opts.accId +
+        '<ACCTID>' + util.escape(opts.accId) +
         '</CCACCTFROM>' +
         '<INCTRAN>' +
-        '<DTSTART>' + opts.start +
-        (typeof opts.end !== 'undefined' ? '<DTEND>' + opts.end : '') +
+        dateRange(opts) +
         '<INCLUDE>Y</INCTRAN>' +
         '</CCSTMTRQ>' +
         '</CCSTMTTRNRQ>' +
@@ -125,62 +189,258 @@ OFX.buildStatementRequest = function (opts) {
         '<CLTCOOKIE>' + util.uuid(5) +
         '<STMTRQ>' +
         '<BANKACCTFROM>' +
-        '<BANKID>' + opts.bankId +
-        '<ACCTID>' + opts.accId +
+        '<BANKID>' + util.escape(opts.bankId) +
+        '<ACCTID>' + util.escape(opts.accId) +
         '<ACCTTYPE>' + type +
         '</BANKACCTFROM>' +
         '<INCTRAN>' +
-        '<DTSTART>' + opts.start +
-        (typeof opts.end !== 'undefined' ? '<DTEND>' + opts.end : '') +
+        dateRange(opts) +
         '<INCLUDE>Y</INCTRAN>' +
         '</STMTRQ>' +
         '</STMTTRNRQ>' +
         '</BANKMSGSRQV1>';
   }
 
-  reqStr += '</OFX>';
+  reqStr = buildRequest(opts, reqStr);
 
   debug('OFX-RequestString:', reqStr);
   return reqStr;
 };
 
+/**
+ * Builds a request for the multi-factor authentication challenges of the
+ * user, sent after the server answered a signon with status 3000
+ * @param opts
+ * @returns {string}
+ */
+OFX.buildMfaChallengeRequest = function (opts) {
+  var dtClient = dates.format(new Date());
+  var trnrq = '<MFACHALLENGETRNRQ>' +
+    '<TRNUID>' + util.uuid(32) +
+    '<MFACHALLENGERQ>' +
+    '<DTCLIENT>' + dtClient +
+    '</MFACHALLENGERQ>' +
+    '</MFACHALLENGETRNRQ>';
+
+  return buildRequest(opts, '', trnrq);
+};
+
+/**
+ * Get the MFA challenges of a parsed MFACHALLENGERQ response
+ * @param res result of OFX.parse
+ * @returns {Array} [{id, label}]
+ */
+OFX.getMfaChallenges = function (res) {
+  var signOn = res && res.body && res.body.OFX && res.body.OFX.SIGNONMSGSRSV1;
+  var trnrs = signOn && signOn.MFACHALLENGETRNRS;
+  var rs = trnrs && trnrs.MFACHALLENGERS;
+
+  return util.toArray(rs && rs.MFACHALLENGE).map(function (challenge) {
+    return {
+      id: challenge.MFAPHRASEID,
+      label: challenge.MFAPHRASELABEL || null
+    };
+  });
+};
+
+/**
+ * Builds an OFX profile request, used to discover the message sets and
+ * versions a server supports. Signs on anonymously when no user is set.
+ * @param opts
+ * @returns {string}
+ */
+OFX.buildProfileRequest = function (opts) {
+  var reqStr = '<PROFMSGSRQV1>' +
+    '<PROFTRNRQ>' +
+    '<TRNUID>' + util.uuid(32) +
+    '<PROFRQ>' +
+    '<CLIENTROUTING>MSGSET' +
+    '<DTPROFUP>19900101' +
+    '</PROFRQ>' +
+    '</PROFTRNRQ>' +
+    '</PROFMSGSRQV1>';
+
+  return buildRequest(util.mixin(opts, {
+    user: opts.user || ANONYMOUS,
+    password: opts.password || ANONYMOUS
+  }), reqStr);
+};
+
+/**
+ * Builds an OFX closing statement request (STMTENDRQ or CCSTMTENDRQ)
+ * @param opts
+ * @returns {string}
+ */
+OFX.buildClosingStatementRequest = function (opts) {
+  var type = (opts.accType || '').toUpperCase();
+  var range = dateRange(opts);
+  var reqStr;
+
+  if (type === 'CREDITCARD') {
+    reqStr = '<CREDITCARDMSGSRQV1>' +
+      '<CCSTMTENDTRNRQ>' +
+      '<TRNUID>' + util.uuid(32) +
+      '<CLTCOOKIE>' + util.uuid(5) +
+      '<CCSTMTENDRQ>' +
+      '<CCACCTFROM>' +
+      '<ACCTID>' + util.escape(opts.accId) +
+      '</CCACCTFROM>' +
+      range +
+      '</CCSTMTENDRQ>' +
+      '</CCSTMTENDTRNRQ>' +
+      '</CREDITCARDMSGSRQV1>';
+  } else {
+    reqStr = '<BANKMSGSRQV1>' +
+      '<STMTENDTRNRQ>' +
+      '<TRNUID>' + util.uuid(32) +
+      '<CLTCOOKIE>' + util.uuid(5) +
+      '<STMTENDRQ>' +
+      '<BANKACCTFROM>' +
+      '<BANKID>' + util.escape(opts.bankId) +
+      '<ACCTID>' + util.escape(opts.accId) +
+      '<ACCTTYPE>' + type +
+      '</BANKACCTFROM>' +
+      range +
+      '</STMTENDRQ>' +
+      '</STMTENDTRNRQ>' +
+      '</BANKMSGSRQV1>';
+  }
+
+  return buildRequest(opts, reqStr);
+};
+
+/**
+ * Builds an OFX bill pay payee list request. `opts.token` is the token of
+ * the last sync, 0 fetches the whole list.
+ * @param opts
+ * @returns {string}
+ */
+OFX.buildPayeeListRequest = function (opts) {
+  var reqStr = '<BILLPAYMSGSRQV1>' +
+    '<PAYEESYNCRQ>' +
+    '<TOKEN>' + util.escape(opts.token || '0') +
+    '<REJECTIFMISSING>N' +
+    '</PAYEESYNCRQ>' +
+    '</BILLPAYMSGSRQV1>';
+
+  return buildRequest(opts, reqStr);
+};
+
+/**
+ * Builds an OFX bill pay payment inquiry request for the payment with the
+ * server transaction id `opts.srvrTid`
+ * @param opts
+ * @returns {string}
+ */
+OFX.buildPaymentInquiryRequest = function (opts) {
+  var reqStr = '<BILLPAYMSGSRQV1>' +
+    '<PMTINQTRNRQ>' +
+    '<TRNUID>' + util.uuid(32) +
+    '<PMTINQRQ>' +
+    '<SRVRTID>' + util.escape(opts.srvrTid) +
+    '</PMTINQRQ>' +
+    '</PMTINQTRNRQ>' +
+    '</BILLPAYMSGSRQV1>';
+
+  return buildRequest(opts, reqStr);
+};
+
+/**
+ * Write a statement out as an OFX statement response document
+ * @param statement result of OFX.parse, its body or a normalized statement
+ * @param opts {version: '102'} 200 and up produce OFX 2.x XML
+ * @returns {string}
+ */
+OFX.serialize = function (statement, opts) {
+  var headerOpts = { ofxVer: (opts && opts.version) || '102' };
+  var tree = serialize.toTree(statement);
+  var xml = isXml(headerOpts);
+
+  return getOfxHeaders(headerOpts) + serialize.write(tree, xml);
+};
+
+/**
+ * Parse the OFX header found before the <OFX> element. 1.x headers are
+ * `KEY:VALUE` lines, 2.x headers are attributes of the `<?OFX ...?>`
+ * processing instruction.
+ * @param str
+ * @returns {Object}
+ */
+OFX.parseHeader = function (str) {
+  var header = {};
+  var pi = /<\?OFX\s+([^?]*)\?>/.exec(str);
+
+  str.split(/\r|\n/).forEach(function (line) {
+    if (line.charAt(0) === '<') return;
+    var headAttributes = line.split(/:/, 2);
+    if (headAttributes[0]) header[headAttributes[0]] = headAttributes[1];
+  });
+
+  if (pi) {
+    var attr = /(\w+)\s*=\s*"([^"]*)"/g, match;
+    while ((match = attr.exec(pi[1]))) header[match[1]] = match[2];
+  }
+
+  return header;
+};
+
+/**
+ * Look for a failed signon or transaction STATUS in a parsed response
+ * @param res result of OFX.parse
+ * @returns {OfxError|null}
+ */
+OFX.checkStatus = function (res) {
+  var ofx = res && res.body && res.body.OFX;
+  var statuses = [];
+
+  if (!ofx) return null;
+  if (ofx.SIGNONMSGSRSV1 && ofx.SIGNONMSGSRSV1.SONRS) statuses.push(ofx.SIGNONMSGSRSV1.SONRS.STATUS);
+
+  Object.keys(ofx).forEach(function (msgs) {
+    if (!/MSGSRSV\d$/.test(msgs)) return;
+    util.toArray(ofx[msgs]).forEach(function (msgSet) {
+      Object.keys(msgSet).forEach(function (key) {
+        if (!/TRNRS$/.test(key)) return;
+        util.toArray(msgSet[key]).forEach(function (trnrs) {
+          statuses.push(trnrs.STATUS);
+        });
+      });
+    });
+  });
+
+  for (var i = 0; i < statuses.length; i++) {
+    if (!errors.isError(statuses[i])) continue;
+    var err = errors.fromStatus(statuses[i]);
+    err.response = res;
+    return err;
+  }
+
+  return null;
+};
+
 /**
  * Parse an OFX response string
  * @param ofxStr
- * @param fn
+ * @param opts optional {dates: true} to turn the DT* and TS* values of the
+ *   body into Dates
+ * @param fn callback(error, data)
  */
-OFX.parse = function (ofxStr, fn) {
+OFX.parse = function (ofxStr, opts, fn) {
+  if (typeof opts === 'function') fn = opts, opts = {};
   var data = {};
-  var callback = fn;
-  var ofxRes = ofxStr.split('<OFX>', 2);
-  var ofx = '<OFX>' + ofxRes[1];
-  var headerString = ofxRes[0].split(/\r|\n/);
-
-  data.xml = ofx
-    // Remove empty spaces and line breaks between tags
-    .replace(/>\s+</g, '><')
-    // Remove empty spaces and line breaks before tags content
-    .replace(/\s+</g, '<')
-    // Remove empty spaces and line breaks after tags content
-    .replace(/>\s+/g, '>')
-    // Remove dots in start-tags names and remove end-tags with dots
-    .replace(/<([A-Z0-9_]*)+\.+([A-Z0-9_]*)>([^<]+)(<\/\1\.\2>)?/g, '<\$1\$2>\$3')
-    // Add a new end-tags for the ofx elements
-    .replace(/<(\w+?)>([^<]+)/g, '<\$1>\$2</<added>\$1>')
-    // Remove duplicate end-tags
-    .replace(/<\/<added>(\w+?)>(<\/\1>)?/g, '</\$1>');
-
-  parser.parseString(data.xml, function (err, result) {
-    data.body = result;
-  });
+  var doc;
 
-  data.header = {};
-
-  for (var key in headerString) {
-    if (typeof headerString[key] === "string") {
-      var headAttributes = headerString[key].split(/:/, 2);
-    }
-    if (headAttributes[0]) data.header[headAttributes[0]] = headAttributes[1];
+  try {
+    doc = sgml.parse(String(ofxStr));
+  } catch (err) {
+    return fn(err);
   }
-  fn(data);
+
+  data.header = OFX.parseHeader(doc.header);
+  data.body = doc.body;
+  data.xml = serialize.write(doc.body, true);
+  if (opts && opts.dates) dates.convert(data.body);
+  data.normalized = normalize(data);
+
+  fn(null, data);
 };
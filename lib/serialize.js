@@ -0,0 +1,303 @@
+/*!
+ * serialize
+ * Writes parsed or normalized statements back out as OFX
+ */
+
+var util = require('./utils')
+  , dates = require('./dates');
+
+/**
+ * Response aggregates for each normalized account type
+ */
+
+var STATEMENTS = {
+  bank: { msgs: 'BANKMSGSRSV1', trnrs: 'STMTTRNRS', rs: 'STMTRS', from: 'BANKACCTFROM' },
+  creditcard: { msgs: 'CREDITCARDMSGSRSV1', trnrs: 'CCSTMTTRNRS', rs: 'CCSTMTRS', from: 'CCACCTFROM' },
+  investment: { msgs: 'INVSTMTMSGSRSV1', trnrs: 'INVSTMTTRNRS', rs: 'INVSTMTRS', from: 'INVACCTFROM' }
+};
+
+var SUCCESS = { CODE: '0', SEVERITY: 'INFO' };
+
+/**
+ * SECLIST aggregates for each normalized security type
+ */
+
+var SECURITIES = { stock: 'STOCKINFO', mutualfund: 'MFINFO', option: 'OPTINFO', debt: 'DEBTINFO', other: 'OTHERINFO' };
+
+// expose serialize
+
+var Serialize = module.exports = {};
+
+/**
+ * Get the OFX element tree for a statement. Accepts the result of
+ * OFX.parse, its `body` or a normalized statement.
+ * @param  {Object} statement
+ * @return {Object}
+ */
+
+Serialize.toTree = function (statement) {
+  if (!statement) throw new TypeError('No statement to serialize');
+  if (statement.body && statement.body.OFX) return statement.body;
+  if (statement.OFX) return statement;
+  if (Array.isArray(statement.accounts)) return fromNormalized(statement);
+  throw new TypeError('Unable to serialize statement: expected a parsed or normalized statement');
+};
+
+/**
+ * Write an element tree as OFX markup
+ * @param  {Object}  tree
+ * @param  {Boolean} xml close leaf elements (OFX 2.x)
+ * @param  {String}  [indent]
+ * @return {String}
+ */
+
+Serialize.write = function (tree, xml, indent) {
+  var out = '';
+  indent = indent || '';
+
+  Object.keys(tree).forEach(function (name) {
+    util.toArray(tree[name]).forEach(function (val) {
+      if (val === null || typeof val === 'undefined') return;
+
+      if (typeof val === 'object' && !(val instanceof Date)) {
+        out += indent + '<' + name + '>\r\n' +
+          Serialize.write(val, xml, indent + '  ') +
+          indent + '</' + name + '>\r\n';
+        return;
+      }
+
+      if (val instanceof Date) val = dates.format(val);
+      if (val === '' && !xml) return;
+      out += indent + '<' + name + '>' + util.escape(val) + (xml ? '</' + name + '>' : '') + '\r\n';
+    });
+  });
+
+  return out;
+};
+
+/**
+ * Build a statement response tree from a normalized statement
+ * @param  {Object} stmt
+ * @return {Object}
+ */
+
+function fromNormalized(stmt) {
+  var ofx = {
+    SIGNONMSGSRSV1: {
+      SONRS: {
+        STATUS: SUCCESS,
+        DTSERVER: new Date(),
+        LANGUAGE: 'ENG'
+      }
+    }
+  };
+
+  stmt.accounts.forEach(function (account, i) {
+    var def = STATEMENTS[account.type] || STATEMENTS.bank;
+    var trnrs = { TRNUID: String(i), STATUS: SUCCESS };
+
+    trnrs[def.rs] = account.type === 'investment' ? investment(account) : statement(def, account);
+    ofx[def.msgs] = ofx[def.msgs] || {};
+    ofx[def.msgs][def.trnrs] = util.toArray(ofx[def.msgs][def.trnrs]).concat(trnrs);
+  });
+
+  var secs = securities(stmt);
+  if (secs) ofx.SECLISTMSGSRSV1 = { SECLIST: secs };
+
+  return { OFX: ofx };
+}
+
+/**
+ * STMTRS / CCSTMTRS for a normalized bank or credit card account
+ * @param  {Object} def
+ * @param  {Object} account
+ * @return {Object}
+ */
+
+function statement(def, account) {
+  var rs = { CURDEF: account.currency || 'USD' };
+
+  rs[def.from] = account.type === 'creditcard'
+    ? { ACCTID: account.id }
+    : { BANKID: account.bankId, ACCTID: account.id, ACCTTYPE: account.accountType || 'CHECKING' };
+
+  rs.BANKTRANLIST = {
+    DTSTART: account.start || firstDate(account.transactions),
+    DTEND: account.end || lastDate(account.transactions),
+    STMTTRN: account.transactions.map(transaction)
+  };
+  rs.LEDGERBAL = balance(account.ledgerBalance || { amount: 0, date: rs.BANKTRANLIST.DTEND });
+  if (account.availableBalance) rs.AVAILBAL = balance(account.availableBalance);
+
+  return rs;
+}
+
+/**
+ * INVSTMTRS for a normalized investment account
+ * @param  {Object} account
+ * @return {Object}
+ */
+
+function investment(account) {
+  var end = account.end || lastDate(account.transactions);
+  var tranList = {
+    DTSTART: account.start || firstDate(account.transactions),
+    DTEND: end
+  };
+
+  (account.investmentTransactions || []).forEach(function (trn) {
+    if (!trn.type) return;
+    tranList[trn.type] = util.toArray(tranList[trn.type]).concat(investmentTransaction(trn));
+  });
+
+  tranList.INVBANKTRAN = account.transactions.map(function (trn) {
+    return { STMTTRN: transaction(trn), SUBACCTFUND: 'CASH' };
+  });
+
+  return {
+    DTASOF: end,
+    CURDEF: account.currency || 'USD',
+    INVACCTFROM: { BROKERID: account.brokerId, ACCTID: account.id },
+    INVTRANLIST: tranList,
+    INVBAL: {
+      AVAILCASH: amount(account.availableBalance ? account.availableBalance.amount : 0),
+      MARGINBALANCE: '0',
+      SHORTBALANCE: '0'
+    }
+  };
+}
+
+/**
+ * BUYSTOCK, SELLMF, INCOME... for a normalized investment transaction
+ * @param  {Object} trn
+ * @return {Object}
+ */
+
+function investmentTransaction(trn) {
+  var invTran = { FITID: trn.fitId, DTTRADE: trn.tradeDate, DTSETTLE: trn.settleDate, MEMO: trn.memo };
+  var secId = { UNIQUEID: trn.securityId, UNIQUEIDTYPE: trn.securityIdType };
+  var subAccount = trn.subAccount || 'CASH';
+  var fund = trn.subAccountFund || 'CASH';
+
+  if (/^(BUY|SELL)/.test(trn.type)) {
+    var buy = /^BUY/.test(trn.type);
+    var res = {};
+    res[buy ? 'INVBUY' : 'INVSELL'] = {
+      INVTRAN: invTran,
+      SECID: secId,
+      UNITS: amount(trn.units),
+      UNITPRICE: amount(trn.unitPrice),
+      COMMISSION: amount(trn.commission),
+      TAXES: amount(trn.taxes),
+      FEES: amount(trn.fees),
+      TOTAL: amount(trn.total),
+      SUBACCTSEC: subAccount,
+      SUBACCTFUND: fund
+    };
+    if (trn.action && !/DEBT$/.test(trn.type)) {
+      res[(/OPT$/.test(trn.type) ? 'OPT' : '') + (buy ? 'BUYTYPE' : 'SELLTYPE')] = trn.action;
+    }
+    return res;
+  }
+
+  switch (trn.type) {
+    case 'INCOME':
+      return { INVTRAN: invTran, SECID: secId, INCOMETYPE: trn.action, TOTAL: amount(trn.total), SUBACCTSEC: subAccount, SUBACCTFUND: fund };
+    case 'REINVEST':
+      return {
+        INVTRAN: invTran, SECID: secId, INCOMETYPE: trn.action, TOTAL: amount(trn.total), SUBACCTSEC: subAccount,
+        UNITS: amount(trn.units), UNITPRICE: amount(trn.unitPrice), COMMISSION: amount(trn.commission), FEES: amount(trn.fees)
+      };
+    case 'TRANSFER':
+      return { INVTRAN: invTran, SECID: secId, SUBACCTSEC: subAccount, UNITS: amount(trn.units), TFERACTION: trn.action, POSTYPE: 'LONG' };
+    default:
+      return {
+        INVTRAN: invTran, SECID: secId, UNITS: amount(trn.units), UNITPRICE: amount(trn.unitPrice),
+        TOTAL: amount(trn.total), SUBACCTSEC: subAccount, SUBACCTFUND: fund
+      };
+  }
+}
+
+/**
+ * SECLIST for the securities of a normalized statement, or the ones its
+ * investment transactions refer to
+ * @param  {Object} stmt
+ * @return {Object|null}
+ */
+
+function securities(stmt) {
+  var list = (stmt.securities || []).slice();
+  var seen = {};
+
+  list.forEach(function (sec) { seen[sec.id] = true; });
+  stmt.accounts.forEach(function (account) {
+    (account.investmentTransactions || []).forEach(function (trn) {
+      if (trn.security && !seen[trn.security.id]) {
+        seen[trn.security.id] = true;
+        list.push(trn.security);
+      }
+    });
+  });
+
+  if (!list.length) return null;
+
+  var seclist = {};
+  list.forEach(function (sec) {
+    var name = SECURITIES[sec.type] || 'OTHERINFO';
+    seclist[name] = util.toArray(seclist[name]).concat({
+      SECINFO: {
+        SECID: { UNIQUEID: sec.id, UNIQUEIDTYPE: sec.idType },
+        SECNAME: sec.name,
+        TICKER: sec.ticker,
+        UNITPRICE: amount(sec.unitPrice),
+        DTASOF: sec.priceDate,
+        MEMO: sec.memo
+      }
+    });
+  });
+  return seclist;
+}
+
+/**
+ * STMTTRN for a normalized transaction
+ * @param  {Object} trn
+ * @return {Object}
+ */
+
+function transaction(trn) {
+  return {
+    TRNTYPE: trn.type || (trn.amount < 0 ? 'DEBIT' : 'CREDIT'),
+    DTPOSTED: trn.date,
+    DTUSER: trn.userDate,
+    TRNAMT: amount(trn.amount),
+    FITID: trn.fitId,
+    CORRECTFITID: trn.correctFitId,
+    CORRECTACTION: trn.correctAction,
+    CHECKNUM: trn.checkNumber,
+    NAME: trn.payee && trn.payee.substring(0, 32),
+    MEMO: trn.memo
+  };
+}
+
+function balance(bal) {
+  return { BALAMT: amount(bal.amount), DTASOF: bal.date || new Date() };
+}
+
+function amount(num) {
+  if (typeof num !== 'number') return num;
+  return Number(num.toFixed(2)) === num ? num.toFixed(2) : String(num);
+}
+
+function firstDate(trns) {
+  var dates = trns.map(function (trn) { return trn.date; }).filter(Boolean).sort(byTime);
+  return dates[0] || new Date();
+}
+
+function lastDate(trns) {
+  var dates = trns.map(function (trn) { return trn.date; }).filter(Boolean).sort(byTime);
+  return dates[dates.length - 1] || new Date();
+}
+
+function byTime(a, b) {
+  return a - b;
+}
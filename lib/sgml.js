@@ -0,0 +1,428 @@
+/*!
+ * sgml
+ * Tolerant tokenizer and tree builder for OFX 1.x SGML and 2.x XML
+ */
+
+var errors = require('./errors');
+
+/**
+ * Elements that always hold other elements. Everything else is treated as
+ * a leaf unless the document closes it explicitly around child elements.
+ */
+
+var AGGREGATES = [
+  'OFX', 'STATUS', 'FI', 'PAYEE', 'CURRENCY', 'ORIGCURRENCY',
+  'SONRQ', 'SONRS', 'STMTRQ', 'STMTRS', 'CCSTMTRQ', 'CCSTMTRS', 'INVSTMTRQ', 'INVSTMTRS',
+  'STMTENDRQ', 'STMTENDRS', 'CCSTMTENDRQ', 'CCSTMTENDRS', 'ACCTINFORQ', 'ACCTINFORS',
+  'PROFRQ', 'PROFRS', 'SECLISTRQ', 'SECLISTRS', 'PAYEERQ', 'PAYEERS',
+  'PAYEESYNCRQ', 'PAYEESYNCRS', 'PMTINQRQ', 'PMTINQRS', 'MFACHALLENGERQ', 'MFACHALLENGERS',
+  'BANKACCTFROM', 'BANKACCTTO', 'CCACCTFROM', 'CCACCTTO', 'INVACCTFROM', 'INVACCTTO',
+  'BANKTRANLIST', 'INVTRANLIST', 'STMTTRN', 'LEDGERBAL', 'AVAILBAL', 'BALLIST', 'BAL',
+  'INCTRAN', 'INCPOS', 'INVBAL', 'INVPOSLIST', 'INVPOS', 'INVOOLIST',
+  'POSSTOCK', 'POSMF', 'POSOPT', 'POSDEBT', 'POSOTHER',
+  'SECLIST', 'SECID', 'SECINFO', 'STOCKINFO', 'MFINFO', 'OPTINFO', 'DEBTINFO', 'OTHERINFO',
+  'INVTRAN', 'INVBUY', 'INVSELL', 'INVBANKTRAN',
+  'BUYDEBT', 'BUYMF', 'BUYOPT', 'BUYOTHER', 'BUYSTOCK',
+  'SELLDEBT', 'SELLMF', 'SELLOPT', 'SELLOTHER', 'SELLSTOCK',
+  'INCOME', 'INVEXPENSE', 'JRNLFUND', 'JRNLSEC', 'MARGININTEREST',
+  'REINVEST', 'RETOFCAP', 'SPLIT', 'TRANSFER', 'CLOSUREOPT',
+  'ACCTINFO', 'BANKACCTINFO', 'CCACCTINFO', 'INVACCTINFO',
+  'MSGSETLIST', 'MSGSETCORE', 'SIGNONINFOLIST', 'SIGNONINFO',
+  'MFACHALLENGE', 'MFACHALLENGEANSWER',
+  'CLOSING', 'EXTDPAYEE', 'PMTINFO', 'PMTPRCSTS'
+];
+
+var AGGREGATE_SUFFIX = /(?:MSGSR[SQ]V\d|TRNR[SQ]|MSGSET|MSGSETV\d)$/;
+
+var ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+var NAME = /^[A-Za-z_][\w.:-]*$/;
+
+// how far to look for the end of a tag before treating `<` as text
+var MAX_TAG = 256;
+
+// expose SGML
+
+var SGML = module.exports = {};
+
+SGML.AGGREGATES = AGGREGATES;
+
+/**
+ * Whether an element is known to be an aggregate
+ * @param  {String} name
+ * @return {Boolean}
+ */
+
+SGML.isAggregate = function (name) {
+  return AGGREGATES.indexOf(name) !== -1 || AGGREGATE_SUFFIX.test(name);
+};
+
+/**
+ * Decode character entities. Unknown entities are left untouched.
+ * @param  {String} str
+ * @return {String}
+ */
+
+SGML.decode = function (str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, function (match, entity) {
+    if (entity.charAt(0) === '#') {
+      var code = entity.charAt(1) === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCharCode(code);
+    }
+    return ENTITIES.hasOwnProperty(entity) ? ENTITIES[entity] : match;
+  });
+};
+
+/**
+ * Parse a whole OFX document
+ * @param  {String} str
+ * @return {Object} {header, body}
+ * @throws {OfxParseError}
+ */
+
+SGML.parse = function (str) {
+  var parser = new Parser();
+  parser.write(str);
+  parser.end();
+  return { header: parser.header, body: parser.body };
+};
+
+/**
+ * Incremental OFX parser. Feed it with `write()` and finish with `end()`,
+ * the element tree is then available as `body` and the raw text found
+ * before the root element as `header`.
+ *
+ * Options:
+ *   - `onheader(header)` called once the root element starts
+ *   - `onelement(name, value, path)` called for each completed element,
+ *     return `true` to leave it out of the tree
+ *
+ * @param {Object} [opts]
+ */
+
+function Parser(opts) {
+  opts = opts || {};
+  this.onheader = opts.onheader;
+  this.onelement = opts.onelement;
+  this.buffer = '';
+  this.header = '';
+  this.body = null;
+  this.stack = [];
+  this.line = 1;
+  this.column = 1;
+}
+
+SGML.Parser = Parser;
+
+/**
+ * Feed a chunk of the document
+ * @param  {String} chunk
+ */
+
+Parser.prototype.write = function (chunk) {
+  this.buffer += chunk;
+  this._tokenize(false);
+};
+
+/**
+ * Signal the end of the document
+ */
+
+Parser.prototype.end = function () {
+  this._tokenize(true);
+
+  if (!this.body && !this.stack.length) this._error('No OFX element found');
+
+  var top = this.stack[this.stack.length - 1];
+  while (top && top.text) {
+    this._pop();
+    top = this.stack[this.stack.length - 1];
+  }
+  if (top) this._error('Unexpected end of input, <' + top.name + '> is not closed');
+};
+
+/**
+ * Split the buffered input into tags and text
+ * @param  {Boolean} final no more input will follow
+ * @api private
+ */
+
+Parser.prototype._tokenize = function (final) {
+  var buf = this.buffer;
+  var pos = 0;
+
+  while (pos < buf.length) {
+    var lt = buf.indexOf('<', pos);
+
+    if (lt === -1) {
+      this._text(buf.slice(pos));
+      pos = this._advance(buf, pos, buf.length);
+      break;
+    }
+
+    if (lt > pos) {
+      this._text(buf.slice(pos, lt));
+      pos = this._advance(buf, pos, lt);
+    }
+
+    var end = this._markup(buf, pos, final);
+    if (end === -1) break;
+    pos = this._advance(buf, pos, end);
+  }
+
+  this.buffer = buf.slice(pos);
+};
+
+/**
+ * Handle the markup starting with the `<` at `pos`
+ * @return {Number} position after the markup, -1 when more input is needed
+ * @api private
+ */
+
+Parser.prototype._markup = function (buf, pos, final) {
+  var next = buf.charAt(pos + 1);
+  var close;
+
+  if (!next) return final ? this._literal(buf, pos) : -1;
+
+  // processing instructions, comments and doctypes
+  if (next === '?' || next === '!') {
+    if (buf.substr(pos, 9) === '<![CDATA[') {
+      close = buf.indexOf(']]>', pos);
+      if (close === -1) return this._incomplete(final, 'Unterminated CDATA section');
+      this._text(buf.slice(pos + 9, close).replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+      return close + 3;
+    }
+
+    var terminator = next === '?' ? '?>' : buf.substr(pos, 4) === '<!--' ? '-->' : '>';
+    close = buf.indexOf(terminator, pos + 2);
+    if (close === -1) return this._incomplete(final, 'Unterminated markup declaration');
+    if (!this.stack.length && !this.body) this.header += buf.slice(pos, close + terminator.length);
+    return close + terminator.length;
+  }
+
+  var gt = buf.indexOf('>', pos);
+  var nextLt = buf.indexOf('<', pos + 1);
+
+  if (gt === -1 || (nextLt !== -1 && nextLt < gt) || gt - pos > MAX_TAG) {
+    if (gt === -1 && nextLt === -1 && !final && buf.length - pos < MAX_TAG) return -1;
+    return this._literal(buf, pos);
+  }
+
+  var tag = buf.slice(pos + 1, gt);
+
+  if (next === '/') {
+    var endName = tag.slice(1).trim();
+    if (!NAME.test(endName)) return this._literal(buf, pos);
+    this._close(endName);
+    return gt + 1;
+  }
+
+  var selfClosing = tag.charAt(tag.length - 1) === '/';
+  var name = tag.replace(/\/$/, '').split(/\s/)[0];
+  if (!NAME.test(name)) return this._literal(buf, pos);
+
+  this._open(name);
+  if (selfClosing) this._close(name);
+  return gt + 1;
+};
+
+/**
+ * Treat a `<` that does not start a tag as text
+ * @api private
+ */
+
+Parser.prototype._literal = function (buf, pos) {
+  this._text('&lt;');
+  return pos + 1;
+};
+
+/**
+ * Wait for more input or fail at the end of the document
+ * @api private
+ */
+
+Parser.prototype._incomplete = function (final, message) {
+  if (final) this._error(message);
+  return -1;
+};
+
+/**
+ * Move the line/column counters over buf[from..to]
+ * @return {Number} to
+ * @api private
+ */
+
+Parser.prototype._advance = function (buf, from, to) {
+  for (var i = from; i < to; i++) {
+    if (buf.charCodeAt(i) === 10) {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+  }
+  return to;
+};
+
+/**
+ * Handle text between tags
+ * @api private
+ */
+
+Parser.prototype._text = function (text) {
+  var top = this.stack[this.stack.length - 1];
+
+  if (!top) {
+    if (this.body) {
+      if (/\S/.test(text)) this._error('Unexpected text after the OFX element');
+    } else {
+      this.header += text.replace(/&lt;/g, '<');
+    }
+    return;
+  }
+
+  if (!top.text && !/\S/.test(text)) return;
+
+  if (top.children.length || (top.aggregate && /\S/.test(text))) {
+    this._error('Unexpected text in <' + top.name + '>');
+  }
+
+  top.text += text;
+};
+
+/**
+ * Handle a start tag
+ * @api private
+ */
+
+Parser.prototype._open = function (name) {
+  var top = this.stack[this.stack.length - 1];
+
+  if (!top && this.body) this._error('Unexpected <' + name + '> after the OFX element');
+  if (!top && name !== 'OFX') this._error('Expected the <OFX> element but found <' + name + '>');
+  if (!top && this.onheader) this.onheader(this.header);
+
+  // a start tag ends the value of a leaf element
+  if (top && top.text) this._pop();
+
+  this.stack.push({
+    name: name,
+    aggregate: SGML.isAggregate(name),
+    text: '',
+    children: [],
+    line: this.line,
+    column: this.column
+  });
+};
+
+/**
+ * Handle an end tag, closing any leaf elements left open before it
+ * @api private
+ */
+
+Parser.prototype._close = function (name) {
+  var idx = this.stack.length - 1;
+
+  while (idx >= 0 && this.stack[idx].name !== name) idx--;
+  if (idx === -1) this._error('Unexpected end tag </' + name + '>');
+
+  while (this.stack.length - 1 > idx) {
+    var node = this.stack[this.stack.length - 1];
+    if (node.aggregate) {
+      this._error('Expected </' + node.name + '> (opened at line ' + node.line +
+        ', column ' + node.column + ') but found </' + name + '>');
+    }
+    this._pop(true);
+  }
+
+  this._pop();
+};
+
+/**
+ * Complete the innermost open element and add it to its parent
+ * @param  {Boolean} implicit the element has no end tag
+ * @api private
+ */
+
+Parser.prototype._pop = function (implicit) {
+  var node = this.stack.pop();
+  var parent = this.stack[this.stack.length - 1];
+  var children = [];
+  var value;
+
+  if (implicit && !node.text && node.children.length) {
+    // Never closed and no text of its own: an empty leaf followed by its siblings
+    children = node.children;
+    value = '';
+  } else if (node.children.length) {
+    value = toObject(node.children);
+  } else {
+    value = SGML.decode(node.text.trim());
+  }
+
+  this._add(parent, node.name, value);
+  for (var i = 0; i < children.length; i++) this._add(parent, children[i][0], children[i][1]);
+};
+
+/**
+ * Add a completed element to its parent or make it the document body
+ * @api private
+ */
+
+Parser.prototype._add = function (parent, name, value) {
+  if (this.onelement) {
+    var path = this.stack.map(function (node) { return node.name; });
+    if (this.onelement(name, value, path) === true) return;
+  }
+
+  if (parent) {
+    parent.children.push([name, value]);
+  } else {
+    this.body = {};
+    define(this.body, name, value);
+  }
+};
+
+/**
+ * Fail with the current position
+ * @api private
+ */
+
+Parser.prototype._error = function (message) {
+  throw new errors.OfxParseError(message, this.line, this.column);
+};
+
+/**
+ * Turn [name, value] pairs into an object, repeated names become arrays
+ * @param  {Array} children
+ * @return {Object}
+ */
+
+function toObject(children) {
+  var obj = {};
+
+  children.forEach(function (child) {
+    var name = child[0];
+    if (!Object.prototype.hasOwnProperty.call(obj, name)) define(obj, name, child[1]);
+    else if (Array.isArray(obj[name])) obj[name].push(child[1]);
+    else define(obj, name, [obj[name], child[1]]);
+  });
+
+  return obj;
+}
+
+/**
+ * Set an own property, so element names like `__proto__` are kept as data
+ * instead of changing the prototype of the tree
+ * @api private
+ */
+
+function define(obj, name, value) {
+  Object.defineProperty(obj, name, {
+    value: value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+}
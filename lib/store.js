@@ -0,0 +1,128 @@
+/*!
+ * store
+ * Where Banking#sync keeps the state of each account between runs
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path');
+
+/**
+ * Default file of the JSON store
+ */
+
+var DEFAULT_FILE = path.join(os.homedir(), '.banking-sync.json');
+
+/**
+ * expose store
+ *
+ * A store has `get(key, fn(err, state))` and `set(key, state, fn(err))`.
+ * Either method may return a Promise instead of calling back. States are
+ * plain JSON values.
+ */
+
+var Store = module.exports = {};
+
+Store.FileStore = FileStore;
+Store.MemoryStore = MemoryStore;
+Store.DEFAULT_FILE = DEFAULT_FILE;
+
+/**
+ * Keep every state in a single JSON file, written on each `set`
+ * @param {String} [file] defaults to ~/.banking-sync.json
+ */
+
+function FileStore(file) {
+  if (!(this instanceof FileStore)) return new FileStore(file);
+  this.file = file || DEFAULT_FILE;
+  this.data = null;
+  this.writing = false;
+  this.queue = [];
+}
+
+FileStore.prototype.get = function (key, fn) {
+  this._load(function (err, data) {
+    if (err) return fn(err);
+    fn(null, data.hasOwnProperty(key) ? data[key] : null);
+  });
+};
+
+FileStore.prototype.set = function (key, state, fn) {
+  var self = this;
+  this._load(function (err, data) {
+    if (err) return fn(err);
+    data[key] = state;
+    self.queue.push(fn);
+    self._write();
+  });
+};
+
+/**
+ * Read the file once, a missing file is an empty store
+ * @api private
+ */
+
+FileStore.prototype._load = function (fn) {
+  var self = this;
+  if (this.data) return fn(null, this.data);
+
+  fs.readFile(this.file, 'utf8', function (err, str) {
+    if (err && err.code !== 'ENOENT') return fn(err);
+    if (self.data) return fn(null, self.data);
+    try {
+      self.data = str ? JSON.parse(str) : {};
+    } catch (e) {
+      return fn(new Error('Unable to read sync state from ' + self.file + ': ' + e.message));
+    }
+    fn(null, self.data);
+  });
+};
+
+/**
+ * Write the whole store to a temporary file and move it into place. Writes
+ * asked for while one is running are done together once it finishes.
+ * @api private
+ */
+
+FileStore.prototype._write = function () {
+  if (this.writing || !this.queue.length) return;
+
+  var self = this
+    , callbacks = this.queue
+    , tmp = this.file + '.' + process.pid + '.tmp';
+
+  this.writing = true;
+  this.queue = [];
+
+  fs.writeFile(tmp, JSON.stringify(this.data, null, 2), {mode: 384 /* 0600 */}, function (err) {
+    if (err) return done(err);
+    fs.rename(tmp, self.file, done);
+  });
+
+  function done(err) {
+    self.writing = false;
+    callbacks.forEach(function (fn) { fn(err || null); });
+    self._write();
+  }
+};
+
+/**
+ * Keep states in memory, for tests and short lived processes
+ * @param {Object} [data] initial states by key
+ */
+
+function MemoryStore(data) {
+  if (!(this instanceof MemoryStore)) return new MemoryStore(data);
+  this.data = data || {};
+}
+
+MemoryStore.prototype.get = function (key, fn) {
+  var state = this.data.hasOwnProperty(key) ? this.data[key] : null;
+  // copies, so a state is only changed through `set`
+  setImmediate(fn, null, state && JSON.parse(JSON.stringify(state)));
+};
+
+MemoryStore.prototype.set = function (key, state, fn) {
+  this.data[key] = JSON.parse(JSON.stringify(state));
+  setImmediate(fn, null);
+};
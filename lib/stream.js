@@ -0,0 +1,155 @@
+/*!
+ * stream
+ * Streaming OFX parser for exports too large to hold in memory
+ */
+
+var Transform = require('stream').Transform
+  , StringDecoder = require('string_decoder').StringDecoder
+  , inherits = require('util').inherits
+  , sgml = require('./sgml')
+  , ofx = require('./ofx')
+  , normalize = require('./normalize');
+
+/**
+ * Account aggregates and the normalized account type they belong to
+ */
+
+var ACCOUNTS = {
+  BANKACCTFROM: 'bank',
+  CCACCTFROM: 'creditcard',
+  INVACCTFROM: 'investment'
+};
+
+var TRANLISTS = ['BANKTRANLIST', 'INVTRANLIST'];
+
+var STATEMENTS = ['STMTRS', 'CCSTMTRS', 'INVSTMTRS'];
+
+/**
+ * expose ParseStream
+ */
+
+module.exports = ParseStream;
+
+/**
+ * Transform stream taking OFX text and emitting objects as they are parsed:
+ *
+ *   - `{type: 'header', data}` the OFX header
+ *   - `{type: 'account', data}` each account of a statement
+ *   - `{type: 'transaction', name, account, data, normalized}` each STMTTRN
+ *     and investment transaction (BUYSTOCK, INCOME, INVBANKTRAN...)
+ *   - `{type: 'body', data}` the rest of the document, without transactions
+ *
+ * Each item is also emitted as an event of the same name. Transactions are
+ * dropped from the tree once emitted, so memory use does not grow with the
+ * size of the document.
+ *
+ * @param {Object} [opts] {encoding: 'utf8'}
+ */
+
+function ParseStream(opts) {
+  if (!(this instanceof ParseStream)) return new ParseStream(opts);
+  opts = opts || {};
+  Transform.call(this, { readableObjectMode: true });
+
+  var self = this;
+  this.decoder = new StringDecoder(opts.encoding || 'utf8');
+  this.account = null;
+  this.currency = null;
+  this.failed = false;
+  this.parser = new sgml.Parser({
+    onheader: function (header) {
+      self._item({ type: 'header', data: ofx.parseHeader(header) });
+    },
+    onelement: function (name, value, path) {
+      return self._element(name, value, path);
+    }
+  });
+}
+
+inherits(ParseStream, Transform);
+
+/**
+ * Feed a chunk to the parser
+ * @api private
+ */
+
+ParseStream.prototype._transform = function (chunk, encoding, fn) {
+  try {
+    this.parser.write(typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+  } catch (err) {
+    this.failed = true;
+    return fn(err);
+  }
+  fn();
+};
+
+/**
+ * Finish the document and emit what is left of the tree. Older versions of
+ * node still flush after a failed write, the error is only reported once.
+ * @api private
+ */
+
+ParseStream.prototype._flush = function (fn) {
+  if (this.failed) return fn();
+  try {
+    this.parser.write(this.decoder.end());
+    this.parser.end();
+  } catch (err) {
+    return fn(err);
+  }
+  this._item({ type: 'body', data: this.parser.body });
+  fn();
+};
+
+/**
+ * Inspect each completed element
+ * @return {Boolean} true to drop the element from the tree
+ * @api private
+ */
+
+ParseStream.prototype._element = function (name, value, path) {
+  var parent = path[path.length - 1];
+
+  if (name === 'CURDEF' && STATEMENTS.indexOf(parent) !== -1) {
+    this.currency = value;
+  }
+
+  if (ACCOUNTS[name] && STATEMENTS.indexOf(parent) !== -1) {
+    this.account = {
+      type: ACCOUNTS[name],
+      id: value.ACCTID || null,
+      bankId: value.BANKID || null,
+      brokerId: value.BROKERID || null,
+      accountType: value.ACCTTYPE || null,
+      currency: this.currency
+    };
+    this._item({ type: 'account', data: this.account });
+    return false;
+  }
+
+  if (TRANLISTS.indexOf(parent) === -1 || name === 'DTSTART' || name === 'DTEND') return false;
+
+  var trn = name === 'INVBANKTRAN' ? value.STMTTRN : value;
+
+  this._item({
+    type: 'transaction',
+    name: name,
+    account: this.account,
+    data: value,
+    normalized: name === 'STMTTRN' || name === 'INVBANKTRAN'
+      ? normalize.transaction(this.account || { id: null }, trn || {})
+      : normalize.investmentTransaction(this.account || { id: null }, name, value)
+  });
+
+  return true;
+};
+
+/**
+ * Push an item and emit it as an event
+ * @api private
+ */
+
+ParseStream.prototype._item = function (item) {
+  this.push(item);
+  this.emit(item.type, item);
+};
@@ -0,0 +1,184 @@
+/*!
+ * sync
+ * Incremental statement downloads for Banking#sync
+ */
+
+var util = require('./utils')
+  , dates = require('./dates')
+  , Store = require('./store');
+
+var DAY = 86400000;
+
+/**
+ * FileStores by file, so syncs sharing a file share its writes
+ */
+
+var fileStores = {};
+
+/**
+ * expose sync
+ */
+
+module.exports = sync;
+
+sync.key = key;
+sync.apply = apply;
+
+/**
+ * Download the transactions of an account since its last sync. The request
+ * starts `overlap` days before the end of the last one, transactions seen
+ * before are dropped by FITID and CORRECTACTION records are reported as
+ * replaced or deleted transactions.
+ *
+ * Options, besides those of Banking#getStatement:
+ *
+ *   - `store` a store, or the file of a JSON store, defaults to ~/.banking-sync.json
+ *   - `overlap` days to request again, defaults to 3
+ *   - `start` start of the first sync, defaults to 90 days ago
+ *
+ * @param  {Banking}  bank
+ * @param  {Object}   args
+ * @param  {Function} [fn] callback(err, res), a Promise is returned when omitted
+ * @return {Promise|undefined}
+ */
+
+function sync(bank, args, fn) {
+  args = args || {};
+  var store = toStore(args.store)
+    , overlap = (typeof args.overlap === 'number' ? args.overlap : 3) * DAY
+    , id = key(util.mixin(bank.opts, util.mixin(args, {})));
+
+  return util.nodeify(function (resolve, reject) {
+    call(store, 'get', [id], function (err, state) {
+      if (err) return reject(err);
+
+      var start = state && state.end
+        ? dates.format(new Date(Date.parse(state.end) - overlap))
+        : args.start || dates.format(new Date(Date.now() - 90 * DAY));
+
+      bank.getStatement(util.mixin(args, {start: start}), function (err, res) {
+        if (err) return reject(err);
+
+        var account = res.normalized.accounts[0];
+        if (!account) return reject(new Error('The response has no statement for account ' + id));
+
+        var end = account.end || serverDate(res) || new Date()
+          , changes = apply(state, account, new Date(end - overlap));
+
+        changes.state.end = end.toISOString();
+        call(store, 'set', [id, changes.state], function (err) {
+          if (err) return reject(err);
+          resolve({
+            account: account,
+            added: changes.added,
+            replaced: changes.replaced,
+            deleted: changes.deleted,
+            start: dates.parse(dates.toOfx(start)),
+            end: end,
+            response: res
+          });
+        });
+      });
+    });
+  }, fn);
+}
+
+/**
+ * Store key of the account in a set of Banking options
+ * @param  {Object} opts
+ * @return {String}
+ */
+
+function key(opts) {
+  return [opts.fid, opts.bankId || opts.brokerId || '', opts.accId].join(':');
+}
+
+/**
+ * Sort the transactions of a statement into new, replaced and deleted ones
+ * against the FITIDs of the last sync. Only FITIDs dated from `keepFrom` on
+ * are kept in the new state, older ones are outside of the next request.
+ * @param  {Object} state last stored state or null
+ * @param  {Object} account normalized account
+ * @param  {Date}   keepFrom
+ * @return {Object} {added, replaced, deleted, state}
+ */
+
+function apply(state, account, keepFrom) {
+  var seen = util.mixin(state && state.fitIds || {}, {})
+    , added = []
+    , replaced = []
+    , deleted = []
+    , trns = account.transactions.concat(account.investmentTransactions || []);
+
+  trns.forEach(function (trn) {
+    if (trn.fitId) {
+      if (seen.hasOwnProperty(trn.fitId)) return;
+      var date = trn.date || trn.tradeDate;
+      seen[trn.fitId] = date ? date.toISOString() : null;
+    }
+
+    if (trn.correctAction === 'DELETE') {
+      delete seen[trn.correctFitId];
+      deleted.push(trn.correctFitId);
+    } else if (trn.correctAction === 'REPLACE') {
+      delete seen[trn.correctFitId];
+      replaced.push(trn);
+    } else {
+      added.push(trn);
+    }
+  });
+
+  var cutoff = keepFrom.toISOString();
+  Object.keys(seen).forEach(function (fitId) {
+    // undated transactions are kept for one more sync
+    if (seen[fitId] === null) seen[fitId] = cutoff;
+    else if (seen[fitId] < cutoff) delete seen[fitId];
+  });
+
+  return {
+    added: added,
+    replaced: replaced,
+    deleted: deleted,
+    state: { end: null, fitIds: seen }
+  };
+}
+
+/**
+ * The store for the `store` option
+ * @api private
+ */
+
+function toStore(store) {
+  if (store && typeof store === 'object') return store;
+  var file = store || Store.DEFAULT_FILE;
+  return fileStores[file] || (fileStores[file] = Store.FileStore(file));
+}
+
+/**
+ * Call a store method that either calls back or returns a Promise
+ * @api private
+ */
+
+function call(store, method, args, fn) {
+  var called = false;
+  function done(err, val) {
+    if (called) return;
+    called = true;
+    fn(err, val);
+  }
+
+  var ret = store[method].apply(store, args.concat(done));
+  if (ret && typeof ret.then === 'function') {
+    ret.then(function (val) { done(null, val); }, done);
+  }
+}
+
+/**
+ * DTSERVER of the signon response
+ * @api private
+ */
+
+function serverDate(res) {
+  var signOn = res.body.OFX.SIGNONMSGSRSV1;
+  return signOn && signOn.SONRS ? dates.parse(signOn.SONRS.DTSERVER) : null;
+}
@@ -1,5 +1,9 @@
+var http = require('http');
+var https = require('https');
 var tls = require('tls');
 var url = require('url');
+var errors = require('./errors');
+var createDebug = require('debug');
 
 /**
  * Unique Id Generator
@@ -50,49 +54,350 @@ Util.mixin = function (base, obj) {
 };
 
 /**
- * Makes a secure request to an ofx server and posts an OFX payload
- * @param options
+ * Run an async task and hand its outcome to a node style callback when one
+ * is given, otherwise return a Promise for it.
+ * @param  {Function} task (resolve, reject) executor
+ * @param  {Function} [fn] callback(err, res)
+ * @return {Promise|undefined}
+ */
+
+Util.nodeify = function (task, fn) {
+  var promise = new Promise(task);
+  if (typeof fn !== 'function') return promise;
+  promise.then(function (res) {
+    process.nextTick(function () { fn(null, res); });
+  }, function (err) {
+    process.nextTick(function () { fn(err); });
+  });
+};
+
+/**
+ * Wrap a value in an array unless it already is one. The OFX parser only
+ * makes arrays of repeated elements, a single child is a plain value.
+ * @param  {*} val
+ * @return {Array}
+ */
+
+Util.toArray = function (val) {
+  if (typeof val === 'undefined' || val === null) return [];
+  return Array.isArray(val) ? val : [val];
+};
+
+/**
+ * Parse an OFX amount string into a number
+ * @param  {string} str e.g. '-49.95' or '-49,95'
+ * @return {number|null}
+ */
+
+Util.parseAmount = function (str) {
+  if (typeof str === 'undefined' || str === null || str === '') return null;
+  var num = String(str).trim();
+  if (num.indexOf('.') === -1) num = num.replace(',', '.');
+  num = parseFloat(num);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Escape special characters in an OFX element value, null and undefined
+ * are written as empty values
+ * @param  {*} val
+ * @return {string}
+ */
+
+Util.escape = function (val) {
+  if (typeof val === 'undefined' || val === null) return '';
+  return String(val)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+/**
+ * Elements never written to debug output, and account numbers of which only
+ * the last four digits are
+ */
+
+var SECRET_ELEMENTS = ['USERID', 'USERPASS', 'NEWUSERPASS', 'USERKEY', 'ACCESSKEY', 'AUTHTOKEN',
+  'SESSCOOKIE', 'MFAPHRASEA', 'USERCRED1', 'USERCRED2', 'CLIENTUID'];
+var ACCOUNT_ELEMENTS = ['ACCTID', 'ACCTKEY', 'PAYACCT'];
+
+var SECRET_VALUE = new RegExp('(<(?:' + SECRET_ELEMENTS.join('|') + ')>)([^<\\r\\n]*)', 'gi');
+var ACCOUNT_VALUE = new RegExp('(<(?:' + ACCOUNT_ELEMENTS.join('|') + ')>)([^<\\r\\n]*)', 'gi');
+
+/**
+ * Mask credentials and account numbers in an OFX request or response, SGML
+ * or XML
+ * @param  {string} str
+ * @return {string}
+ */
+
+Util.redact = function (str) {
+  if (typeof str !== 'string') return str;
+  return str
+    .replace(SECRET_VALUE, function (m, tag, val) {
+      return tag + (val.trim() ? '***' : val);
+    })
+    .replace(ACCOUNT_VALUE, function (m, tag, val) {
+      var trimmed = val.trim();
+      return tag + (trimmed.length > 4 ? '***' + trimmed.slice(-4) : trimmed ? '***' : val);
+    });
+};
+
+/**
+ * A `debug` logger that redacts every string it is given
+ * @param  {string} namespace
+ * @return {Function}
+ */
+
+Util.debug = function (namespace) {
+  var log = createDebug(namespace);
+
+  function debug() {
+    if (!log.enabled) return;
+    log.apply(null, Array.prototype.slice.call(arguments).map(Util.redact));
+  }
+
+  debug.namespace = namespace;
+  return debug;
+};
+
+/**
+ * Network errors worth sending the request again for
+ */
+
+var RETRY_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+var RETRY_STATUS = [429, 502, 503, 504];
+var REDIRECT_STATUS = [301, 302, 303, 307, 308];
+
+/**
+ * Post an OFX payload to an ofx server and pass the response body to `cb`.
+ * Timeouts and network failures are retried with an exponential backoff,
+ * redirects to the same origin are followed and HTTP(S)_PROXY is honoured. Headers are sent in
+ * the order of `options.headers`.
+ *
+ * @param options {url, headers, timeout, retries, retryDelay, maxRedirects, proxy}
  * @param ofxPayload
- * @param cb
+ * @param cb callback(err, body), non 2xx responses fail with an OfxHttpError
+ *   and still pass the body along
  */
+
 Util.request = function(options, ofxPayload, cb) {
-  var parsedUrl = url.parse(options.url);
-  var tlsOpts = {
-    port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-    host: parsedUrl.hostname
-  };
-  var socket = tls.connect(tlsOpts, function() {
-    var buffer = 'POST ' + parsedUrl.path + ' HTTP/1.1\r\n';
-    options.headers.forEach(function(header) {
-      var value;
-      if (options[header]) {
-        value = options[header];
-      } else if (header === 'Content-Length') {
-        value = ofxPayload.length;
-      } else if (header === 'Host') {
-        value = parsedUrl.host;
+  var retries = typeof options.retries === 'number' ? options.retries : 2
+    , delay = options.retryDelay || 1000
+    , attempt = 0;
+
+  (function send(target, redirects) {
+    post(options, target, ofxPayload, function (err, res, body) {
+      if (!err && REDIRECT_STATUS.indexOf(res.statusCode) !== -1 && res.headers.location) {
+        if (redirects >= (typeof options.maxRedirects === 'number' ? options.maxRedirects : 5)) {
+          return cb(new errors.OfxHttpError(res.statusCode, 'Too many redirects from ' + options.url, body), body);
+        }
+        var location = url.resolve(target, res.headers.location);
+        if (origin(location) !== origin(target)) {
+          // the payload carries the credentials, it only goes back to the same server
+          return cb(new errors.OfxHttpError(res.statusCode, 'Refusing to follow a redirect from ' +
+            origin(target) + ' to ' + origin(location), body), body);
+        }
+        return send(location, redirects + 1);
+      }
+
+      var retry = err ? RETRY_CODES.indexOf(err.code) !== -1 : RETRY_STATUS.indexOf(res.statusCode) !== -1;
+      if (retry && attempt < retries) {
+        return setTimeout(function () { send(target, redirects); }, delay * Math.pow(2, attempt++));
       }
-      buffer += header + ': ' + value + '\r\n';
+
+      if (err) return cb(err);
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return cb(new errors.OfxHttpError(res.statusCode, 'HTTP ' + res.statusCode + ' ' +
+          (res.statusMessage || '') + ' from ' + target, body), body);
+      }
+      cb(null, body);
+    });
+  })(options.url, 0);
+};
+
+/**
+ * Send a single POST request, through a proxy when one is configured
+ * @api private
+ */
+
+function post(options, target, payload, cb) {
+  var parsedUrl = url.parse(target)
+    , secure = parsedUrl.protocol === 'https:'
+    , proxy = getProxy(options, parsedUrl)
+    , body = Buffer.from(String(payload))
+    , timeout = options.timeout || 60000
+    , done = false;
+
+  function finish(err, res, data) {
+    if (done) return;
+    done = true;
+    cb(err, res, data);
+  }
+
+  var reqOpts = {
+    method: 'POST',
+    host: parsedUrl.hostname,
+    port: parsedUrl.port || (secure ? 443 : 80),
+    path: parsedUrl.path,
+    headers: getHeaders(options, parsedUrl, body),
+    setHost: false,
+    agent: false
+  };
+
+  if (proxy && !secure) {
+    reqOpts.host = proxy.hostname;
+    reqOpts.port = proxy.port || 80;
+    reqOpts.path = target;
+    if (proxy.auth) reqOpts.headers['Proxy-Authorization'] = 'Basic ' + Buffer.from(proxy.auth).toString('base64');
+  }
+
+  function send(socket) {
+    if (socket) {
+      delete reqOpts.agent;
+      reqOpts.createConnection = function () {
+        return tls.connect({ socket: socket, servername: parsedUrl.hostname });
+      };
+    }
+
+    var req;
+    try {
+      req = (secure ? https : http).request(reqOpts, function (res) {
+        var chunks = [];
+        res.on('data', function (chunk) { chunks.push(chunk); });
+        res.on('error', finish);
+        res.on('end', function () {
+          finish(null, res, Buffer.concat(chunks).toString('utf8'));
+        });
+      });
+    } catch (err) {
+      return finish(err);
+    }
+
+    // node adds a Connection header of its own unless it is listed
+    var listed = Object.keys(reqOpts.headers).some(function (name) {
+      return name.toLowerCase() === 'connection';
+    });
+    if (!listed) req.removeHeader('Connection');
+
+    req.setTimeout(timeout, function () {
+      req.destroy(timeoutError(target, timeout));
+    });
+    req.on('error', finish);
+    req.end(body);
+  }
+
+  if (proxy && secure) {
+    return tunnel(proxy, parsedUrl, timeout, function (err, socket) {
+      if (err) return finish(err);
+      send(socket);
     });
-    buffer += '\r\n';
-    buffer += ofxPayload;
-    socket.write(buffer);
+  }
+  send();
+}
+
+/**
+ * Open a CONNECT tunnel through an http proxy
+ * @api private
+ */
+
+function tunnel(proxy, parsedUrl, timeout, cb) {
+  var hostPort = parsedUrl.hostname + ':' + (parsedUrl.port || 443)
+    , headers = { Host: hostPort };
+
+  if (proxy.auth) headers['Proxy-Authorization'] = 'Basic ' + Buffer.from(proxy.auth).toString('base64');
+
+  var req = http.request({
+    method: 'CONNECT',
+    host: proxy.hostname,
+    port: proxy.port || 80,
+    path: hostPort,
+    headers: headers,
+    agent: false
+  });
+
+  req.setTimeout(timeout, function () {
+    req.destroy(timeoutError(hostPort, timeout));
   });
-  var data = '';
-  socket.on('data', function(chunk) {
-    data += chunk;
+  req.once('connect', function (res, socket) {
+    req.setTimeout(0);
+    if (res.statusCode === 200) return cb(null, socket);
+    socket.destroy();
+    cb(new errors.OfxHttpError(res.statusCode, 'Proxy CONNECT to ' + hostPort + ' failed with HTTP ' + res.statusCode));
   });
-  socket.on('end', function() {
-    var error = true;
-    var httpHeaderMatcher = new RegExp(/HTTP\/\d\.\d (\d{3}) (.*)/);
-    var matches = httpHeaderMatcher.exec(data);
-    if (matches && matches.length > 2) {
-      if (parseInt(matches[1], 10) === 200) {
-        error = false;
-      } else {
-        error = new Error(matches[0]);
-      }
+  req.once('error', cb);
+  req.end();
+}
+
+/**
+ * Request headers in the order of `options.headers`, which node keeps as
+ * the insertion order of the object. Content-Length is always sent and a
+ * listed Connection header without a value is sent as `close`.
+ * @api private
+ */
+
+function getHeaders(options, parsedUrl, body) {
+  var headers = {}
+    , names = options.headers || ['Host', 'Content-Type', 'Content-Length'];
+
+  names.forEach(function (header) {
+    var value;
+    if (options[header]) {
+      value = options[header];
+    } else if (header === 'Content-Length') {
+      value = body.length;
+    } else if (header === 'Host') {
+      value = parsedUrl.host;
+    } else if (header.toLowerCase() === 'connection') {
+      value = 'close';
     }
-    cb(error, data);
+    if (typeof value !== 'undefined') headers[header] = String(value);
   });
-};
+
+  if (names.indexOf('Content-Length') === -1) headers['Content-Length'] = String(body.length);
+  return headers;
+}
+
+/**
+ * The proxy for a url: `options.proxy`, or HTTPS_PROXY / HTTP_PROXY unless
+ * the host is listed in NO_PROXY. `options.proxy = false` disables proxies.
+ * @api private
+ */
+
+function getProxy(options, parsedUrl) {
+  if (options.proxy === false) return null;
+  if (options.proxy) return url.parse(options.proxy);
+
+  var env = process.env
+    , proxy = parsedUrl.protocol === 'https:'
+      ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+      : env.HTTP_PROXY || env.http_proxy
+    , noProxy = (env.NO_PROXY || env.no_proxy || '').split(',');
+
+  if (!proxy) return null;
+
+  var excluded = noProxy.some(function (host) {
+    host = host.trim().replace(/^\*?\./, '');
+    if (!host) return false;
+    return host === '*' || parsedUrl.hostname === host || parsedUrl.hostname.slice(-host.length - 1) === '.' + host;
+  });
+
+  return excluded ? null : url.parse(proxy);
+}
+
+/**
+ * Protocol, host and port of a url, defaulting the port to the protocol's
+ * @api private
+ */
+
+function origin(target) {
+  var parsed = url.parse(target)
+    , port = parsed.port || (parsed.protocol === 'https:' ? 443 : 80);
+  return parsed.protocol + '//' + (parsed.hostname || '').toLowerCase() + ':' + port;
+}
+
+function timeoutError(target, timeout) {
+  var err = new Error('Request to ' + target + ' timed out after ' + timeout + 'ms');
+  err.code = 'ETIMEDOUT';
+  return err;
+}
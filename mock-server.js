@@ -0,0 +1,17 @@
+/*!
+ * banking/mock-server
+ * `node mock-server.js [port]` serves generated statements on localhost
+ */
+
+var MockServer = module.exports = require('./lib/mock-server');
+
+if (require.main === module) {
+  MockServer().listen(process.argv[2] || process.env.PORT || 0, function (err, url) {
+    if (err) {
+      console.error('mock-server: ' + err.message);
+      process.exitCode = 1;
+      return;
+    }
+    console.log('Mock OFX server listening on %s', url);
+  });
+}
@@ -0,0 +1,155 @@
+var Banking = require('..')
+  , MockServer = require('../mock-server');
+
+describe('Banking#getAllStatements', function(){
+
+  var accounts = [
+    {type: 'bank', id: '1111', bankId: '121000248', accountType: 'SAVINGS', name: 'Savings', transactions: [
+      {type: 'CREDIT', date: new Date(Date.UTC(2013, 10, 4)), amount: 5.25, fitId: 'S1', payee: 'INTEREST'}
+    ]},
+    {type: 'creditcard', id: '4444', name: 'Visa', transactions: [
+      {type: 'DEBIT', date: new Date(Date.UTC(2013, 10, 5)), amount: -12.5, fitId: 'C1', payee: 'CAFE'}
+    ]},
+    {type: 'investment', id: '7777', brokerId: 'broker.example.com', transactions: []}
+  ];
+
+  function bank(transport) {
+    return Banking({
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      transport: transport
+    });
+  }
+
+  it('should normalize the account list', function(){
+    var server = MockServer({accounts: accounts});
+    return bank(server.transport()).getAccounts().then(function (res) {
+      var list = res.normalized.accountList;
+      list.map(function (acct) { return acct.type; }).should.eql(['bank', 'creditcard', 'investment']);
+      list[0].should.have.properties({id: '1111', bankId: '121000248', accountType: 'SAVINGS', description: 'Savings', status: 'ACTIVE', supportsDownload: true});
+      list[1].accountType.should.equal('CREDITCARD');
+      list[2].should.have.properties({brokerId: 'broker.example.com', accountType: 'INVESTMENT'});
+    });
+  });
+
+  it('should fetch a statement for each account', function(){
+    var server = MockServer({accounts: accounts});
+    return bank(server.transport()).getAllStatements({start: 20131101, end: 20131120}).then(function (results) {
+      results.should.have.length(3);
+      results.forEach(function (result) {
+        (result.error === null).should.be.true();
+      });
+
+      var savings = results[0].statement.normalized.accounts[0];
+      savings.should.have.properties({type: 'bank', id: '1111', accountType: 'SAVINGS'});
+      savings.transactions[0].fitId.should.equal('S1');
+      results[1].statement.normalized.accounts[0].should.have.properties({type: 'creditcard', id: '4444'});
+      results[1].statement.normalized.transactions[0].fitId.should.equal('C1');
+      results[2].statement.normalized.accounts[0].should.have.properties({type: 'investment', id: '7777', brokerId: 'broker.example.com'});
+
+      server.requests[1].should.containEql('<STMTRQ>');
+      server.requests[2].should.containEql('<CCSTMTRQ>');
+      server.requests[3].should.containEql('<INVSTMTRQ>');
+    });
+  });
+
+  it('should work without arguments', function(){
+    var server = MockServer({accounts: accounts});
+    return bank(server.transport()).getAllStatements().then(function (results) {
+      results.should.have.length(3);
+      results[0].statement.normalized.accounts[0].id.should.equal('1111');
+      server.requests.slice(1).forEach(function (req) {
+        req.should.containEql('<INCTRAN><INCLUDE>Y</INCTRAN>');
+        req.should.not.containEql('DTSTART');
+      });
+    });
+  });
+
+  it('should request each account rather than the configured one', function(){
+    var server = MockServer({accounts: accounts});
+    return Banking({
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      bankId: '999999999',
+      accId: '9999',
+      brokerId: 'other.example.com',
+      transport: server.transport()
+    }).getAllStatements({start: 20131101}).then(function () {
+      server.requests[1].should.containEql('<BANKID>121000248<ACCTID>1111<ACCTTYPE>SAVINGS');
+      server.requests[1].should.containEql('<DTSTART>20131101<INCLUDE>Y');
+      server.requests[2].should.containEql('<CCACCTFROM><ACCTID>4444</CCACCTFROM>');
+      server.requests[3].should.containEql('<BROKERID>broker.example.com<ACCTID>7777');
+    });
+  });
+
+  it('should not fill in missing account fields from the instance', function(){
+    var server = MockServer({accounts: [{type: 'bank', id: '2222', accountType: 'CHECKING', transactions: []}]});
+    return Banking({
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      bankId: '999999999',
+      transport: server.transport()
+    }).getAllStatements().then(function () {
+      server.requests[1].should.containEql('<BANKID><ACCTID>2222<ACCTTYPE>CHECKING');
+    });
+  });
+
+  it('should call back when given only a callback', function(done){
+    var server = MockServer({accounts: accounts});
+    var ret = bank(server.transport()).getAllStatements(function (err, results) {
+      if (err) return done(err);
+      (ret === undefined).should.be.true();
+      results.should.have.length(3);
+      done();
+    });
+  });
+
+  it('should return the error of each failed account', function(){
+    var server = MockServer({accounts: accounts})
+      , transport = server.transport();
+
+    return bank(function (opts, payload, fn) {
+      if (/<CCSTMTRQ>/.test(payload)) return fn(new Error('socket hang up'));
+      transport(opts, payload, fn);
+    }).getAllStatements({start: 20131101, end: 20131120}).then(function (results) {
+      results[0].statement.should.be.an.Object();
+      results[1].account.id.should.equal('4444');
+      (results[1].statement === null).should.be.true();
+      results[1].error.message.should.equal('socket hang up');
+      results[2].statement.should.be.an.Object();
+    });
+  });
+
+  it('should limit the requests in flight', function(){
+    var server = MockServer({accounts: accounts, delay: 10})
+      , transport = server.transport()
+      , running = 0
+      , most = 0;
+
+    return bank(function (opts, payload, fn) {
+      most = Math.max(most, ++running);
+      transport(opts, payload, function (err, body) {
+        running--;
+        fn(err, body);
+      });
+    }).getAllStatements({start: 20131101, end: 20131120, concurrency: 2}).then(function (results) {
+      results.should.have.length(3);
+      most.should.equal(2);
+    });
+  });
+
+  it('should fail when the account list fails', function(){
+    var server = MockServer({accounts: accounts, error: 15500});
+    return bank(server.transport()).getAllStatements({start: 20131101}).then(function () {
+      throw new Error('should fail');
+    }, function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAuthError);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+var execFile = require('child_process').execFile
+  , MockServer = require('../mock-server');
+
+var bin = require.resolve('../bin/banking')
+  , fixture = __dirname + '/fixtures/sample.ofx';
+
+/**
+ * Run the cli with `input` on stdin
+ */
+
+function run(args, env, input, fn) {
+  var child = execFile(process.execPath, [bin].concat(args), {
+    env: Object.assign({PATH: process.env.PATH, HOME: __dirname}, env),
+    timeout: 10000
+  }, fn);
+  child.stdin.end(input || '');
+}
+
+describe('banking cli', function(){
+  var server;
+
+  before(function(done){
+    server = MockServer({user: 'username', password: 'secret'}).listen(done);
+  });
+
+  after(function(done){
+    server.close(done);
+  });
+
+  function env() {
+    return {BANKING_URL: server.url, BANKING_FID: '1', BANKING_USER: 'username', BANKING_ACC_ID: '1111', BANKING_BANK_ID: '2222'};
+  }
+
+  it('should convert an OFX file to json', function(done){
+    run(['parse', fixture], {}, '', function (err, stdout) {
+      if (err) return done(err);
+      JSON.parse(stdout).transactions[0].fitId.should.equal('201201031');
+      done();
+    });
+  });
+
+  it('should convert an OFX file to csv and qif', function(done){
+    run(['parse', fixture, '--format', 'csv'], {}, '', function (err, stdout) {
+      if (err) return done(err);
+      stdout.split('\r\n')[1].should.equal('2012-01-03,1234567890,DEBIT,-49.95,PLANET BEACH AL001,RECUR DEBIT CRD PMT0,201201031,');
+      run(['parse', fixture, '--format=qif'], {}, '', function (err, stdout) {
+        if (err) return done(err);
+        stdout.should.startWith('!Type:Bank\nD01/03/2012\nT-49.95\nPPLANET BEACH AL001\n');
+        done();
+      });
+    });
+  });
+
+  it('should prompt for the password and download a statement', function(done){
+    run(['statement', '--start', '2013-11-01', '--end', '2013-11-20'], env(), 'secret\n', function (err, stdout, stderr) {
+      if (err) return done(err);
+      stderr.should.containEql('Password for username: ');
+      var stmt = JSON.parse(stdout);
+      stmt.accounts[0].id.should.equal('1111');
+      stmt.transactions.length.should.be.above(0);
+      done();
+    });
+  });
+
+  it('should list the accounts', function(done){
+    run(['accounts'], env(), 'secret\n', function (err, stdout) {
+      if (err) return done(err);
+      stdout.should.equal('bank\tCHECKING\t1234567890\t000000000\tCHECKING\n');
+      done();
+    });
+  });
+
+  it('should list the accounts as json', function(done){
+    run(['accounts', '--format', 'json'], env(), 'secret\n', function (err, stdout) {
+      if (err) return done(err);
+      JSON.parse(stdout)[0].should.have.properties({type: 'bank', id: '1234567890'});
+      done();
+    });
+  });
+
+  it('should reject statement formats for accounts', function(done){
+    var sent = server.requests.length;
+    run(['accounts', '--format', 'csv'], env(), 'secret\n', function (err, stdout, stderr) {
+      err.code.should.equal(1);
+      stderr.should.containEql('banking: Accounts are listed as a table or --format json');
+      server.requests.should.have.length(sent);
+      done();
+    });
+  });
+
+  it('should use the settings of a known institution', function(done){
+    var vars = env();
+    delete vars.BANKING_FID;
+    vars.BANKING_INSTITUTION = 'discover';
+    run(['statement', '--start', '20131101', '--end', '20131120', '--format', 'jsonl'], vars, 'secret\n', function (err, stdout) {
+      if (err) return done(err);
+      stdout.split('\n')[0].should.containEql('"accountId":"1111"');
+      server.requests[server.requests.length - 1].should.containEql('<FID>7101</FI>');
+      server.requests[server.requests.length - 1].should.containEql('<CCSTMTRQ>');
+      done();
+    });
+  });
+
+  it('should list the known institutions', function(done){
+    run(['institutions', 'discover'], {}, '', function (err, stdout) {
+      if (err) return done(err);
+      stdout.should.equal('discover\tDiscover Card\t7101\thttps://ofx.discovercard.com\n');
+      done();
+    });
+  });
+
+  it('should report errors with a non zero exit code', function(done){
+    run(['accounts'], env(), 'wrong\n', function (err, stdout, stderr) {
+      err.code.should.equal(1);
+      stderr.should.containEql('banking: Signon invalid');
+      done();
+    });
+  });
+});
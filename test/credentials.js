@@ -0,0 +1,152 @@
+var execFile = require('child_process').execFile
+  , Banking = require('..')
+  , MockServer = require('../mock-server')
+  , util = require('../lib/utils');
+
+describe('Credentials', function(){
+
+  function bank(server, opts) {
+    var args = {
+      fid: 1,
+      url: 'https://ofx.example.com',
+      accId: '234343434',
+      bankId: '121000248',
+      accType: 'CHECKING',
+      transport: server.transport()
+    };
+    for (var key in opts) args[key] = opts[key];
+    return Banking(args);
+  }
+
+  describe('redact', function(){
+    it('should mask credentials in SGML', function(){
+      util.redact('<SONRQ><DTCLIENT>20130101<USERID>jdoe<USERPASS>s3cret<LANGUAGE>ENG')
+        .should.equal('<SONRQ><DTCLIENT>20130101<USERID>***<USERPASS>***<LANGUAGE>ENG');
+    });
+
+    it('should mask credentials in XML and on separate lines', function(){
+      util.redact('<USERKEY>KEY</USERKEY>\r\n<ACCESSKEY>ACCESS\r\n<MFAPHRASEA>Rex</MFAPHRASEA><AUTHTOKEN>T</AUTHTOKEN>')
+        .should.equal('<USERKEY>***</USERKEY>\r\n<ACCESSKEY>***\r\n<MFAPHRASEA>***</MFAPHRASEA><AUTHTOKEN>***</AUTHTOKEN>');
+    });
+
+    it('should keep the last four digits of account numbers', function(){
+      util.redact('<BANKID>121000248<ACCTID>234343434<ACCTTYPE>CHECKING')
+        .should.equal('<BANKID>121000248<ACCTID>***3434<ACCTTYPE>CHECKING');
+      util.redact('<acctid>1234</acctid>').should.equal('<acctid>***</acctid>');
+    });
+
+    it('should leave other values alone', function(){
+      util.redact('<TRNAMT>-10.00<NAME>CAFE').should.equal('<TRNAMT>-10.00<NAME>CAFE');
+      util.redact(42).should.equal(42);
+    });
+
+    it('should apply to all debug output', function(done){
+      var script = [
+        "var Banking = require(" + JSON.stringify(require.resolve('..')) + ")",
+        "  , MockServer = require(" + JSON.stringify(require.resolve('../mock-server')) + ");",
+        "var server = MockServer({user: 'jdoe', password: 's3cret'});",
+        "Banking({fid: 1, url: 'https://ofx.example.com', user: 'jdoe', password: 's3cret', accId: '234343434',",
+        "  bankId: '121000248', accType: 'CHECKING', transport: server.transport()})",
+        "  .getStatement({start: 20131101, end: 20131120}).then(function () {}, function (err) { console.error(err); process.exitCode = 1; });"
+      ].join('\n');
+
+      execFile(process.execPath, ['-e', script], {
+        env: {PATH: process.env.PATH, DEBUG: 'banking:*'},
+        timeout: 10000
+      }, function (err, stdout, stderr) {
+        if (err) return done(err);
+        stderr.should.containEql('OFX-RequestString:');
+        stderr.should.containEql('Raw-Request:');
+        stderr.should.containEql('Raw-Response:');
+        stderr.should.containEql('<ACCTID>***3434');
+        stderr.should.not.containEql('s3cret');
+        stderr.should.not.containEql('jdoe');
+        stderr.should.not.containEql('<ACCTID>234343434');
+        done();
+      });
+    });
+  });
+
+  describe('providers', function(){
+    it('should ask callback providers on every request', function(){
+      var server = MockServer({user: 'jdoe', password: 's3cret'})
+        , asked = 0;
+
+      var client = bank(server, {
+        user: 'jdoe',
+        password: function (done) {
+          asked++;
+          setImmediate(done, null, 's3cret');
+        }
+      });
+
+      return client.getStatement({start: 20131101, end: 20131120}).then(function () {
+        return client.getAccounts();
+      }).then(function () {
+        asked.should.equal(2);
+        server.requests[0].should.containEql('<USERID>jdoe<USERPASS>s3cret');
+        client.opts.password.should.be.a.Function();
+      });
+    });
+
+    it('should accept providers returning a Promise or the value', function(){
+      var server = MockServer({user: 'jdoe', password: 's3cret'});
+      var client = bank(server, {
+        user: function () { return 'jdoe'; },
+        password: function () { return Promise.resolve('s3cret'); }
+      });
+
+      return client.getStatement({start: 20131101, end: 20131120}).then(function (res) {
+        res.normalized.accounts[0].id.should.equal('234343434');
+      });
+    });
+
+    it('should fail the request when a provider fails', function(done){
+      var server = MockServer()
+        , client = bank(server, {
+            user: 'jdoe',
+            password: function (cb) { cb(new Error('keychain locked')); }
+          });
+
+      client.getAccounts(function (err) {
+        err.message.should.equal('keychain locked');
+        server.requests.should.have.length(0);
+        done();
+      });
+    });
+
+    it('should fail when a provider without a callback returns nothing', function(done){
+      var server = MockServer()
+        , client = bank(server, {
+            user: 'jdoe',
+            password: function () {}
+          });
+
+      client.getAccounts(function (err) {
+        err.should.be.an.instanceOf(TypeError);
+        err.message.should.containEql('must return the value');
+        server.requests.should.have.length(0);
+        done();
+      });
+    });
+
+    it('should answer MFA challenges with provided credentials', function(){
+      var server = MockServer({
+        user: 'jdoe',
+        password: 's3cret',
+        mfa: {challenges: [{id: 'MFA13', label: 'First pet?'}], answers: {MFA13: 'Rex'}}
+      });
+      var client = bank(server, {
+        user: 'jdoe',
+        password: function () { return Promise.resolve('s3cret'); },
+        mfa: function (challenges, done) { done(null, {MFA13: 'Rex'}); }
+      });
+
+      return client.getAccounts().then(function () {
+        server.requests.forEach(function (req) {
+          req.should.containEql('<USERPASS>s3cret');
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+var Banking = require('..')
+  , dates = require('../lib/dates');
+
+describe('OFX dates', function(){
+
+  describe('.parse', function(){
+    it('should read fractional seconds and the timezone', function(){
+      var date = Banking.parseDate('20120127235919.500[-8:PST]');
+      date.toISOString().should.equal('2012-01-28T07:59:19.500Z');
+      date.offset.should.equal(-8);
+      date.timezone.should.equal('PST');
+    });
+
+    it('should read fractional offsets without a name', function(){
+      var date = dates.parse('20120127120000[+5.5]');
+      date.toISOString().should.equal('2012-01-27T06:30:00.000Z');
+      date.offset.should.equal(5.5);
+      (date.timezone === null).should.be.true();
+    });
+
+    it('should read dates without a time or offset as GMT', function(){
+      var date = dates.parse('20120127');
+      date.toISOString().should.equal('2012-01-27T00:00:00.000Z');
+      date.offset.should.equal(0);
+    });
+
+    it('should compare like any other Date', function(){
+      dates.parse('20120127000000[-5:EST]').should.eql(new Date(Date.UTC(2012, 0, 27, 5)));
+      JSON.stringify({date: dates.parse('20120127')}).should.equal('{"date":"2012-01-27T00:00:00.000Z"}');
+    });
+
+    it('should return null for other values', function(){
+      (dates.parse('') === null).should.be.true();
+      (dates.parse('2012-01-27') === null).should.be.true();
+    });
+  });
+
+  describe('.format', function(){
+    it('should write Dates in GMT', function(){
+      Banking.formatDate(new Date(Date.UTC(2013, 0, 2, 3, 4, 5, 6))).should.equal('20130102030405.006[0:GMT]');
+    });
+
+    it('should write parsed dates in their own timezone', function(){
+      Banking.formatDate(dates.parse('20120127235919.500[-8:PST]')).should.equal('20120127235919.500[-8:PST]');
+    });
+  });
+
+  describe('.toOfx', function(){
+    it('should keep OFX dates and format ISO dates', function(){
+      dates.toOfx(20131101).should.equal('20131101');
+      dates.toOfx('20131101120000.000[-5:EST]').should.equal('20131101120000.000[-5:EST]');
+      dates.toOfx('2013-11-01').should.equal('20131101');
+    });
+
+    it('should reject undefined and null', function(){
+      (function () { dates.toOfx(undefined); }).should.throw(TypeError);
+      (function () { dates.toOfx(null); }).should.throw(TypeError);
+    });
+
+    it('should reject invalid Dates', function(){
+      (function () { dates.toOfx(new Date('nope')); }).should.throw(TypeError);
+    });
+
+    it('should reject strings that are neither OFX nor ISO dates', function(){
+      ['undefined', 'yesterday', '', '2013', '20131101abc', '2013-11-01T99:00'].forEach(function (str) {
+        (function () { dates.toOfx(str); }).should.throw(TypeError, {message: 'Invalid date: ' + str});
+      });
+    });
+  });
+
+  describe('parse option', function(){
+    it('should turn DT* values into Dates', function(){
+      return Banking.parseFile(__dirname + '/fixtures/investment.ofx', {dates: true}).then(function (res) {
+        var sonrs = res.body.OFX.SIGNONMSGSRSV1.SONRS;
+        sonrs.DTSERVER.should.be.an.instanceOf(Date);
+        sonrs.DTSERVER.timezone.should.equal('EST');
+
+        var buy = res.body.OFX.INVSTMTMSGSRSV1.INVSTMTTRNRS.INVSTMTRS.INVTRANLIST.BUYSTOCK;
+        buy.INVBUY.INVTRAN.DTTRADE.should.be.an.instanceOf(Date);
+        res.normalized.investmentTransactions[0].tradeDate.offset.should.equal(-5);
+        res.xml.should.containEql('<DTSERVER>20140115120000.000[-5:EST]</DTSERVER>');
+      });
+    });
+
+    it('should leave the strings by default', function(){
+      return Banking.parseFile(__dirname + '/fixtures/investment.ofx').then(function (res) {
+        res.body.OFX.SIGNONMSGSRSV1.SONRS.DTSERVER.should.equal('20140115120000.000[-5:EST]');
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+var Banking = require('..')
+  , ofx = require('../lib/ofx')
+  , data = require('./fixtures/data');
+
+/**
+ * Swap the signon or transaction STATUS of the sample response
+ */
+
+function withStatus(which, status) {
+  var parts = data.ofxString.split('<STATUS>');
+  var idx = which === 'signon' ? 1 : 2;
+  parts[idx] = parts[idx].replace(/[\s\S]*?(?=<\/STATUS>)/, '\n' + status + '\n');
+  return parts.join('<STATUS>');
+}
+
+describe('OFX.checkStatus', function(){
+
+  it('should return null for a successful response', function(done){
+    Banking.parse(data.ofxString, function (err, res) {
+      if (err) return done(err);
+      (ofx.checkStatus(res) === null).should.be.true();
+      done();
+    });
+  });
+
+  it('should raise an OfxAuthError for a bad password', function(done){
+    var str = withStatus('signon', '<CODE>15500<SEVERITY>ERROR<MESSAGE>Invalid user or password');
+    Banking.parse(str, function (err, res) {
+      if (err) return done(err);
+      var error = ofx.checkStatus(res);
+      error.should.be.an.instanceof(Banking.OfxAuthError);
+      error.should.be.an.instanceof(Banking.OfxError);
+      error.should.be.an.instanceof(Error);
+      error.name.should.equal('OfxAuthError');
+      error.code.should.equal(15500);
+      error.severity.should.equal('ERROR');
+      error.message.should.equal('Invalid user or password');
+      error.response.should.equal(res);
+      done();
+    });
+  });
+
+  it('should raise an OfxAccountError for an unknown account', function(done){
+    var str = withStatus('transaction', '<CODE>2003<SEVERITY>ERROR');
+    Banking.parse(str, function (err, res) {
+      if (err) return done(err);
+      var error = ofx.checkStatus(res);
+      error.should.be.an.instanceof(Banking.OfxAccountError);
+      error.message.should.equal('Account not found');
+      done();
+    });
+  });
+
+  it('should raise an OfxServerError for a general error', function(done){
+    var str = withStatus('transaction', '<CODE>2000<SEVERITY>ERROR');
+    Banking.parse(str, function (err, res) {
+      if (err) return done(err);
+      ofx.checkStatus(res).should.be.an.instanceof(Banking.OfxServerError);
+      done();
+    });
+  });
+
+  it('should ignore warnings', function(done){
+    var str = withStatus('signon', '<CODE>15000<SEVERITY>WARN');
+    Banking.parse(str, function (err, res) {
+      if (err) return done(err);
+      (ofx.checkStatus(res) === null).should.be.true();
+      done();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+var fs = require('fs')
+  , Banking = require('..');
+
+function parse(name) {
+  return Banking.parseFile(__dirname + '/fixtures/' + name);
+}
+
+describe('Banking exports', function(){
+
+  describe('.toCsv', function(){
+    it('should write a row per transaction', function(){
+      return parse('sample.ofx').then(function (res) {
+        var lines = Banking.toCsv(res).split('\r\n');
+        lines[0].should.equal('date,account,type,amount,payee,memo,fitId,checkNumber');
+        lines[1].should.equal('2012-01-03,1234567890,DEBIT,-49.95,PLANET BEACH AL001,RECUR DEBIT CRD PMT0,201201031,');
+        lines.length.should.equal(res.normalized.transactions.length + 2);
+      });
+    });
+
+    it('should take columns, a date format and a delimiter', function(){
+      return parse('sample.ofx').then(function (res) {
+        var csv = Banking.toCsv(res.normalized, {
+          columns: ['date', 'amount', {header: 'Payee', value: function (trn) { return trn.payee.toLowerCase(); }}],
+          dateFormat: 'DD/MM/YYYY',
+          delimiter: ';',
+          header: false
+        });
+        csv.split('\r\n')[0].should.equal('03/01/2012;-49.95;planet beach al001');
+      });
+    });
+
+    it('should quote values', function(){
+      var csv = Banking.toCsv({accounts: [{id: '1', type: 'bank', transactions: [
+        {date: new Date(Date.UTC(2013, 0, 2)), amount: -1, payee: 'SMITH, "JR"', memo: null}
+      ]}]}, {columns: ['payee', 'memo'], header: false});
+      csv.should.equal('"SMITH, ""JR""",\r\n');
+    });
+
+    it('should write dates in the timezone they were read in', function(){
+      var csv = Banking.toCsv({accounts: [{id: '1', type: 'bank', transactions: [
+        {date: Banking.parseDate('20120103230000[-8:PST]'), amount: -1}
+      ]}]}, {columns: ['date'], header: false});
+      csv.should.equal('2012-01-03\r\n');
+    });
+
+    it('should include investment transactions', function(){
+      return parse('investment.ofx').then(function (res) {
+        var csv = Banking.toCsv(res, {columns: ['date', 'type', 'security', 'units', 'amount']});
+        csv.should.match(/\r\n\d{4}-\d{2}-\d{2},BUYSTOCK,[^,]+,\d+(\.\d+)?,-[\d.]+\r\n/);
+      });
+    });
+
+    it('should reject unknown columns', function(){
+      (function () {
+        Banking.toCsv({accounts: []}, {columns: ['nope']});
+      }).should.throw(/Unknown CSV column/);
+    });
+  });
+
+  describe('.toQif', function(){
+    it('should write bank accounts', function(){
+      return parse('sample.ofx').then(function (res) {
+        Banking.toQif(res).should.startWith('!Type:Bank\nD01/03/2012\nT-49.95\nPPLANET BEACH AL001\nMRECUR DEBIT CRD PMT0\n^\n');
+      });
+    });
+
+    it('should write credit card accounts', function(){
+      return parse('creditcard.ofx').then(function (res) {
+        Banking.toQif(res).should.startWith('!Type:CCard\n');
+      });
+    });
+
+    it('should write investment accounts with QIF actions', function(){
+      return parse('investment.ofx').then(function (res) {
+        var qif = Banking.toQif(res);
+        qif.should.startWith('!Type:Invst\n');
+        qif.should.match(/\nNBuy\nY[^\n]+\nI[\d.]+\nQ[\d.]+\nT[\d.]+\n/);
+        qif.should.not.match(/\nQ-/);
+      });
+    });
+
+    it('should add an account header for each of several accounts', function(){
+      var qif = Banking.toQif({accounts: [
+        {id: '1', type: 'bank', transactions: []},
+        {id: '2', type: 'creditcard', transactions: []}
+      ]});
+      qif.should.equal('!Option:AutoSwitch\n!Account\nN1\nTBank\n^\n!Account\nN2\nTCCard\n^\n!Clear:AutoSwitch\n' +
+        '!Account\nN1\nTBank\n^\n!Type:Bank\n!Account\nN2\nTCCard\n^\n!Type:CCard\n');
+    });
+  });
+
+  describe('.toJsonl', function(){
+    it('should write a transaction per line', function(){
+      return parse('sample.ofx').then(function (res) {
+        var lines = Banking.toJsonl(res).split('\n');
+        lines.pop().should.equal('');
+        lines.length.should.equal(res.normalized.transactions.length);
+        JSON.parse(lines[0]).fitId.should.equal('201201031');
+      });
+    });
+  });
+
+  it('should reject unknown input', function(){
+    (function () {
+      Banking.toJsonl({});
+    }).should.throw(TypeError);
+  });
+});
@@ -0,0 +1,186 @@
+var http = require('http')
+  , net = require('net')
+  , Banking = require('..')
+  , util = require('../lib/utils');
+
+var ofxBody = 'OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102\r\n\r\n' +
+  '<OFX><SIGNONMSGSRSV1><SONRS><STATUS><CODE>15500<SEVERITY>ERROR</STATUS>' +
+  '<DTSERVER>20131120093000.000<LANGUAGE>ENG</SONRS></SIGNONMSGSRSV1></OFX>';
+
+describe('Util.request', function(){
+  var server, base, handler, seen;
+
+  before(function(done){
+    server = http.createServer(function (req, res) {
+      var body = '';
+      req.on('data', function (chunk) { body += chunk; });
+      req.on('end', function () {
+        seen.push({method: req.method, url: req.url, rawHeaders: req.rawHeaders, body: body});
+        handler(req, res, body);
+      });
+    }).listen(0, '127.0.0.1', function () {
+      base = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done){
+    server.close(done);
+  });
+
+  beforeEach(function(){
+    seen = [];
+  });
+
+  function options(extra) {
+    var opts = {
+      url: base + '/ofx',
+      Accept: 'application/ofx',
+      'Content-Type': 'application/x-ofx',
+      headers: ['Content-Type', 'Host', 'Accept', 'Content-Length'],
+      retryDelay: 5,
+      proxy: false
+    };
+    for (var key in extra) opts[key] = extra[key];
+    return opts;
+  }
+
+  it('should send the headers in order and return only the body', function(done){
+    handler = function (req, res) {
+      res.writeHead(200, {'Content-Type': 'application/x-ofx'});
+      res.write('<OFX>');
+      res.end('</OFX>');
+    };
+    util.request(options(), '<OFX>é</OFX>', function (err, body) {
+      if (err) return done(err);
+      body.should.equal('<OFX></OFX>');
+      seen[0].method.should.equal('POST');
+      seen[0].body.should.equal('<OFX>é</OFX>');
+      seen[0].rawHeaders.filter(function (h, i) { return i % 2 === 0; })
+        .should.eql(['Content-Type', 'Host', 'Accept', 'Content-Length']);
+      seen[0].rawHeaders[7].should.equal('13');
+      done();
+    });
+  });
+
+  it('should send a listed Connection header in its place', function(done){
+    handler = function (req, res) {
+      res.end('ok');
+    };
+    util.request(options({headers: ['Connection', 'Host', 'Content-Length']}), 'payload', function (err) {
+      if (err) return done(err);
+      seen[0].rawHeaders.should.eql(['Connection', 'close', 'Host', base.slice(7), 'Content-Length', '7']);
+      done();
+    });
+  });
+
+  it('should follow redirects', function(done){
+    handler = function (req, res) {
+      if (req.url === '/ofx') {
+        res.writeHead(302, {Location: '/moved'});
+        return res.end();
+      }
+      res.end('moved');
+    };
+    util.request(options(), 'payload', function (err, body) {
+      if (err) return done(err);
+      body.should.equal('moved');
+      seen.map(function (r) { return r.url; }).should.eql(['/ofx', '/moved']);
+      seen[1].body.should.equal('payload');
+      done();
+    });
+  });
+
+  it('should not follow redirects to other hosts', function(done){
+    handler = function (req, res) {
+      res.writeHead(302, {Location: 'http://ofx.example.com/ofx'});
+      res.end();
+    };
+    util.request(options(), 'payload', function (err) {
+      err.should.be.an.instanceOf(Banking.OfxHttpError);
+      err.statusCode.should.equal(302);
+      err.message.should.containEql('to http://ofx.example.com:80');
+      seen.length.should.equal(1);
+      done();
+    });
+  });
+
+  it('should retry unavailable servers', function(done){
+    handler = function (req, res) {
+      res.writeHead(seen.length < 3 ? 503 : 200);
+      res.end('attempt ' + seen.length);
+    };
+    util.request(options(), 'payload', function (err, body) {
+      if (err) return done(err);
+      body.should.equal('attempt 3');
+      done();
+    });
+  });
+
+  it('should fail with an OfxHttpError once retries are exhausted', function(done){
+    handler = function (req, res) {
+      res.writeHead(503);
+      res.end('down');
+    };
+    util.request(options({retries: 1}), 'payload', function (err, body) {
+      err.should.be.an.instanceOf(Banking.OfxHttpError);
+      err.statusCode.should.equal(503);
+      body.should.equal('down');
+      seen.length.should.equal(2);
+      done();
+    });
+  });
+
+  it('should time out', function(done){
+    handler = function (req, res) {
+      setTimeout(function () { res.end('late'); }, 200);
+    };
+    util.request(options({timeout: 20, retries: 0}), 'payload', function (err) {
+      err.code.should.equal('ETIMEDOUT');
+      done();
+    });
+  });
+
+  it('should send http requests through the proxy', function(done){
+    handler = function (req, res) {
+      res.end('proxied');
+    };
+    util.request(options({url: 'http://ofx.example.com/ofx', proxy: base}), 'payload', function (err, body) {
+      if (err) return done(err);
+      body.should.equal('proxied');
+      seen[0].url.should.equal('http://ofx.example.com/ofx');
+      seen[0].rawHeaders[3].should.equal('ofx.example.com');
+      done();
+    });
+  });
+
+  it('should tunnel https requests through the proxy', function(done){
+    var proxy = net.createServer(function (socket) {
+      socket.once('data', function (data) {
+        String(data).should.startWith('CONNECT ofx.example.com:443 HTTP/1.1');
+        socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+      });
+    }).listen(0, '127.0.0.1', function () {
+      var opts = options({url: 'https://ofx.example.com/ofx', proxy: 'http://127.0.0.1:' + proxy.address().port});
+      util.request(opts, 'payload', function (err) {
+        proxy.close();
+        err.should.be.an.instanceOf(Banking.OfxHttpError);
+        err.statusCode.should.equal(407);
+        done();
+      });
+    });
+  });
+
+  it('should report the OFX status of an error response', function(done){
+    handler = function (req, res) {
+      res.writeHead(400);
+      res.end(ofxBody);
+    };
+    var bank = Banking({fid: 1, url: base + '/ofx', user: 'user', password: 'pass', proxy: false});
+    bank.getAccounts(function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAuthError);
+      err.code.should.equal(15500);
+      done();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+var fs = require('fs')
+  , Banking = require('..');
+
+function fixture(name) {
+  return fs.readFileSync(__dirname + '/fixtures/' + name, 'utf8');
+}
+
+describe('Banking imports', function(){
+
+  describe('.parseQif', function(){
+    it('should return the shape of Banking.parse', function(){
+      return Banking.parseQif(fixture('sample.qif')).then(function (res) {
+        res.header.OFXHEADER.should.equal('100');
+        res.body.OFX.BANKMSGSRSV1.STMTTRNRS.STMTRS.BANKTRANLIST.STMTTRN.should.have.length(3);
+        res.xml.should.startWith('<OFX>');
+
+        var trns = res.normalized.transactions;
+        trns[0].date.should.eql(new Date(Date.UTC(2012, 0, 3)));
+        trns[0].amount.should.equal(-49.95);
+        trns[0].payee.should.equal('PLANET BEACH AL001');
+        trns[0].memo.should.equal('RECUR DEBIT CRD PMT0');
+        trns[1].amount.should.equal(-1039);
+        trns[1].type.should.equal('CHECK');
+        trns[1].checkNumber.should.equal('1042');
+        trns[2].type.should.equal('CREDIT');
+      });
+    });
+
+    it('should derive stable FITIDs', function(){
+      return Banking.parseQif(fixture('sample.qif')).then(function (res) {
+        var ids = res.normalized.transactions.map(function (trn) { return trn.fitId; });
+        ids[0].should.match(/^[0-9a-f]{16}$/);
+        ids[0].should.not.equal(ids[1]);
+        return Banking.parseQif(fixture('sample.qif')).then(function (again) {
+          again.normalized.transactions.map(function (trn) { return trn.fitId; }).should.eql(ids);
+        });
+      });
+    });
+
+    it('should read investment accounts', function(){
+      return Banking.parseQif(fixture('investment.qif'), {account: {brokerId: 'broker.example.com'}}).then(function (res) {
+        var stmt = res.normalized;
+        stmt.accounts[0].type.should.equal('investment');
+        stmt.accounts[0].id.should.equal('Brokerage');
+        stmt.accounts[0].brokerId.should.equal('broker.example.com');
+        stmt.transactions.map(function (trn) { return trn.amount; }).should.eql([1000, -2.5]);
+
+        var inv = stmt.investmentTransactions;
+        inv.map(function (trn) { return trn.kind; }).should.eql(['buy', 'sell', 'income']);
+        inv[0].units.should.equal(10);
+        inv[0].unitPrice.should.equal(50.25);
+        inv[0].commission.should.equal(4.95);
+        inv[0].total.should.equal(-507.45);
+        inv[0].security.ticker.should.equal('ACME');
+        inv[1].units.should.equal(-5);
+        inv[1].security.name.should.equal('Example Index Fund');
+        inv[2].action.should.equal('DIV');
+      });
+    });
+
+    it('should read day first dates', function(){
+      return Banking.parseQif('!Type:CCard\nD31/01/2013\nT-10\n^\n', {dateFormat: 'DD/MM/YYYY'}).then(function (res) {
+        res.normalized.accounts[0].type.should.equal('creditcard');
+        res.normalized.transactions[0].date.should.eql(new Date(Date.UTC(2013, 0, 31)));
+      });
+    });
+
+    it('should report invalid dates with their line', function(done){
+      Banking.parseQif('!Type:Bank\nD13/45/2013\nT-10\n^\n', function (err) {
+        err.should.be.an.instanceOf(Banking.OfxParseError);
+        err.line.should.equal(4);
+        done();
+      });
+    });
+  });
+
+  describe('.parseCsv', function(){
+    it('should read a preset layout', function(){
+      return Banking.parseCsv(fixture('chase.csv'), {preset: 'chase', account: {id: '4444'}}).then(function (res) {
+        var stmt = res.normalized;
+        stmt.accounts[0].type.should.equal('creditcard');
+        stmt.accounts[0].id.should.equal('4444');
+        stmt.transactions.should.have.length(3);
+        stmt.transactions[0].date.should.eql(new Date(Date.UTC(2024, 0, 3)));
+        stmt.transactions[0].userDate.should.eql(new Date(Date.UTC(2024, 0, 2)));
+        stmt.transactions[0].payee.should.equal('COFFEE SHOP, MAIN ST');
+        stmt.transactions[2].memo.should.equal('extra "shot"');
+        stmt.transactions[0].fitId.should.not.equal(stmt.transactions[2].fitId);
+      });
+    });
+
+    it('should map debit and credit columns', function(){
+      var csv = 'Account summary\n\nDay;Text;Out;In\n31.01.2013;Rent;1.200,00;\n01.02.2013;Salary;;2.500,50\n';
+      return Banking.parseCsv(csv, {
+        columns: {date: 'Day', payee: 'Text', debit: 'Out', credit: 'In'},
+        delimiter: ';',
+        decimal: ',',
+        dateFormat: 'DD.MM.YYYY'
+      }).then(function (res) {
+        res.normalized.transactions.map(function (trn) { return trn.amount; }).should.eql([-1200, 2500.5]);
+        res.normalized.transactions[0].date.should.eql(new Date(Date.UTC(2013, 0, 31)));
+      });
+    });
+
+    it('should read files without a header', function(){
+      var csv = '"01/03/2012","-49.95","*","","PLANET BEACH AL001"\n';
+      return Banking.parseCsv(csv, {preset: 'wellsfargo'}).then(function (res) {
+        res.normalized.transactions[0].amount.should.equal(-49.95);
+        res.normalized.transactions[0].payee.should.equal('PLANET BEACH AL001');
+      });
+    });
+
+    it('should invert amounts', function(){
+      return Banking.parseCsv('Date,Description,Amount\n01/02/2024,CAFE,4.50\n', {preset: 'amex'}).then(function (res) {
+        res.normalized.transactions[0].amount.should.equal(-4.5);
+      });
+    });
+
+    it('should not need the optional columns in the header', function(){
+      return Banking.parseCsv('date,amount,payee\n2026-01-02,-5.00,X\n', {}).then(function (res) {
+        res.normalized.transactions[0].should.have.properties({amount: -5, payee: 'X', memo: null});
+      });
+    });
+
+    it('should keep payees longer than OFX allows', function(){
+      var payee = 'AMAZON MARKETPLACE PMTS AMZN.COM/BILL WA';
+      return Banking.parseCsv('date,amount,payee\n2026-01-02,-5.00,' + payee + '\n').then(function (res) {
+        res.normalized.transactions[0].payee.should.equal(payee);
+        res.normalized.accounts[0].transactions[0].payee.should.equal(payee);
+      });
+    });
+
+    it('should take a callback without a mapping', function(done){
+      Banking.parseCsv('date,amount\n2026-01-02,-5.00\n', function (err, res) {
+        if (err) return done(err);
+        res.normalized.transactions[0].amount.should.equal(-5);
+        done();
+      });
+    });
+
+    it('should reject a file without the mapped header', function(done){
+      Banking.parseCsv('a,b\n1,2\n', {columns: {date: 'Date', amount: 'Amount'}}, function (err) {
+        err.should.be.an.instanceOf(Banking.OfxParseError);
+        err.message.should.containEql('No header row with the columns Date, Amount');
+        done();
+      });
+    });
+
+    it('should reject unknown presets', function(){
+      return Banking.parseCsv('', {preset: 'nope'}).then(function () {
+        throw new Error('should fail');
+      }, function (err) {
+        err.should.be.an.instanceOf(TypeError);
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , Banking = require('..')
+  , MockServer = require('../mock-server');
+
+describe('Banking.institutions', function(){
+
+  describe('.find', function(){
+    it('should find institutions by id, FID and name', function(){
+      var discover = Banking.institutions.find('discover');
+      discover.should.have.properties({fid: '7101', fidOrg: 'Discover Financial Services', url: 'https://ofx.discovercard.com'});
+      Banking.institutions.find(7101).id.should.equal('discover');
+      Banking.institutions.find('DISCOVER CARD').id.should.equal('discover');
+    });
+
+    it('should return null for unknown institutions', function(){
+      (Banking.institutions.find('nope') === null).should.be.true();
+    });
+
+    it('should return copies', function(){
+      Banking.institutions.find('discover').headers.push('Accept');
+      Banking.institutions.find('discover').headers.should.have.length(4);
+    });
+  });
+
+  describe('.search', function(){
+    it('should match ids and names', function(){
+      Banking.institutions.search('fargo').map(function (inst) { return inst.id; }).should.eql(['wellsfargo']);
+      Banking.institutions.search().length.should.be.above(5);
+    });
+  });
+
+  describe('.add', function(){
+    it('should add and replace entries', function(){
+      Banking.institutions.add({id: 'Example', name: 'Example Credit Union', fid: '99999', url: 'https://ofx.example.com'});
+      Banking.institutions.find('example').fid.should.equal('99999');
+      Banking.institutions.add({id: 'example', fid: '99998', url: 'https://ofx.example.com'});
+      Banking.institutions.find('example').fid.should.equal('99998');
+    });
+
+    it('should reject incomplete entries', function(){
+      (function () {
+        Banking.institutions.add({id: 'broken', fid: '1'});
+      }).should.throw(TypeError);
+    });
+  });
+
+  describe('.load', function(){
+    var file = path.join(os.tmpdir(), 'banking-institutions-' + process.pid + '.json');
+
+    after(function(){
+      fs.unlinkSync(file);
+    });
+
+    it('should add the entries of a JSON file', function(){
+      fs.writeFileSync(file, JSON.stringify([{id: 'localbank', name: 'Local Bank', fid: '1234', fidOrg: 'LB', url: 'https://ofx.local.example'}]));
+      return Banking.institutions.load(file).then(function (entries) {
+        entries.should.have.length(1);
+        Banking.institutions.find('localbank').fidOrg.should.equal('LB');
+      });
+    });
+  });
+
+  describe('Banking.fromInstitution', function(){
+    it('should combine the institution settings and credentials', function(){
+      var bank = Banking.fromInstitution('discover', {user: 'user', password: 'pass', accId: '6011'});
+      bank.opts.should.have.properties({fid: '7101', fidOrg: 'Discover Financial Services', accType: 'CREDITCARD', user: 'user', accId: '6011'});
+      bank.opts.headers.should.eql(['Content-Type', 'Host', 'Content-Length', 'Connection']);
+    });
+
+    it('should let credentials override the institution', function(){
+      Banking.fromInstitution('chase', {ofxVer: '102'}).opts.ofxVer.should.equal('102');
+    });
+
+    it('should fetch statements', function(){
+      var server = MockServer({user: 'user', password: 'pass'});
+      var bank = Banking.fromInstitution('discover', {user: 'user', password: 'pass', accId: '6011', transport: server.transport()});
+      return bank.getStatement({start: 20131101, end: 20131120}).then(function (res) {
+        res.normalized.accounts[0].should.have.properties({type: 'creditcard', id: '6011'});
+        server.requests[0].should.containEql('<ORG>Discover Financial Services<FID>7101');
+      });
+    });
+
+    it('should throw for unknown institutions', function(){
+      (function () {
+        Banking.fromInstitution('nope', {});
+      }).should.throw(/Unknown institution: nope/);
+    });
+  });
+});
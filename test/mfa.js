@@ -0,0 +1,115 @@
+var Banking = require('..')
+  , MockServer = require('../mock-server');
+
+describe('Multi-factor authentication', function(){
+  var server;
+
+  beforeEach(function(){
+    server = MockServer({
+      user: 'user',
+      password: 'pass',
+      mfa: {
+        challenges: [
+          {id: 'MFA13', label: 'What is the name of your first pet?'},
+          {id: 'MFA107'}
+        ],
+        answers: {MFA13: 'Rex', MFA107: 'banking-js'}
+      }
+    });
+  });
+
+  function bank(mfa) {
+    return new Banking({
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      mfa: mfa,
+      transport: server.transport()
+    });
+  }
+
+  it('should answer the challenges and cache the ACCESSKEY', function(){
+    var seen;
+    var client = bank(function (challenges, done) {
+      seen = challenges;
+      done(null, {MFA13: 'Rex', MFA107: 'banking-js'});
+    });
+
+    return client.getAccounts().then(function () {
+      seen.should.eql([
+        {id: 'MFA13', label: 'What is the name of your first pet?'},
+        {id: 'MFA107', label: null}
+      ]);
+      server.requests.length.should.equal(3);
+      server.requests[2].should.containEql('<MFAPRHASEID>MFA13<MFAPHRASEA>Rex</MFACHALLENGEANSWER>');
+      client.session.accessKey.should.be.a.String();
+      return client.getAccounts();
+    }).then(function () {
+      server.requests.length.should.equal(4);
+      server.requests[3].should.containEql('<ACCESSKEY>' + client.session.accessKey + '</SONRQ>');
+    });
+  });
+
+  it('should accept a promise of answers', function(){
+    return bank(function () {
+      return Promise.resolve([{id: 'MFA13', answer: 'Rex'}, {id: 'MFA107', answer: 'banking-js'}]);
+    }).getAccounts().then(function () {
+      server.requests.length.should.equal(3);
+    });
+  });
+
+  it('should fail with 3001 on a wrong answer', function(done){
+    bank(function (challenges, fn) {
+      fn(null, {MFA13: 'Fido', MFA107: 'banking-js'});
+    }).getAccounts(function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAuthError);
+      err.code.should.equal(3001);
+      done();
+    });
+  });
+
+  it('should fail with the error of a throwing handler', function(done){
+    bank(function () {
+      throw new Error('no answers');
+    }).getAccounts(function (err) {
+      err.message.should.equal('no answers');
+      server.requests.length.should.equal(2);
+      done();
+    });
+  });
+
+  it('should fail with 3000 without an mfa option', function(done){
+    bank().getAccounts(function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAuthError);
+      err.code.should.equal(3000);
+      server.requests.length.should.equal(1);
+      done();
+    });
+  });
+
+  it('should answer the challenges again once the ACCESSKEY expired', function(){
+    var client = bank(function (challenges, done) {
+      done(null, {MFA13: 'Rex', MFA107: 'banking-js'});
+    });
+    client.session.accessKey = 'expired';
+
+    return client.getAccounts().then(function () {
+      server.requests.length.should.equal(3);
+      server.requests[0].should.containEql('<ACCESSKEY>expired');
+      client.session.accessKey.should.not.equal('expired');
+    });
+  });
+
+  it('should sign on with the password when the USERKEY is refused', function(){
+    server = MockServer({user: 'user', password: 'pass'});
+    var client = bank();
+    client.session.userKey = 'stale';
+
+    return client.getAccounts().then(function () {
+      server.requests.length.should.equal(2);
+      server.requests[0].should.containEql('<USERKEY>stale');
+      server.requests[1].should.containEql('<USERID>user<USERPASS>pass');
+    });
+  });
+});
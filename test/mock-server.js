@@ -0,0 +1,125 @@
+var fs = require('fs')
+  , Banking = require('..')
+  , MockServer = require('../mock-server');
+
+describe('MockServer', function(){
+
+  function bank(server, opts) {
+    var args = {
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      accId: '1111',
+      bankId: '121000248',
+      accType: 'CHECKING',
+      transport: server.transport()
+    };
+    for (var key in opts) args[key] = opts[key];
+    return Banking(args);
+  }
+
+  it('should generate statements for the requested range', function(){
+    var server = MockServer();
+    return bank(server).getStatement({start: 20131101, end: 20131120}).then(function (res) {
+      var account = res.normalized.accounts[0];
+      account.id.should.equal('1111');
+      account.bankId.should.equal('121000248');
+      account.transactions.length.should.be.above(4);
+      account.transactions.forEach(function (trn) {
+        trn.date.should.be.within(new Date(Date.UTC(2013, 10, 1)), new Date(Date.UTC(2013, 10, 20)));
+      });
+    });
+  });
+
+  it('should answer OFX 2.x requests with XML', function(){
+    var server = MockServer();
+    return bank(server, {ofxVer: '220'}).getStatement({start: 20131101, end: 20131120}).then(function (res) {
+      res.header.VERSION.should.equal('220');
+      res.body.OFX.BANKMSGSRSV1.STMTTRNRS.STMTRS.BANKACCTFROM.ACCTID.should.equal('1111');
+    });
+  });
+
+  it('should serve the configured accounts', function(){
+    var server = MockServer({
+      accounts: [
+        {type: 'bank', id: '1111', bankId: '121000248', accountType: 'SAVINGS', transactions: []},
+        {type: 'creditcard', id: '4444', transactions: [
+          {type: 'DEBIT', date: new Date(Date.UTC(2013, 10, 5)), amount: -12.5, fitId: 'A1', payee: 'CAFE'}
+        ]}
+      ]
+    });
+    var client = bank(server, {accId: '4444', accType: 'CREDITCARD'});
+
+    return client.getAccounts().then(function (res) {
+      var info = res.body.OFX.SIGNUPMSGSRSV1.ACCTINFOTRNRS.ACCTINFORS.ACCTINFO;
+      info.length.should.equal(2);
+      info[0].BANKACCTINFO.BANKACCTFROM.ACCTTYPE.should.equal('SAVINGS');
+      info[1].CCACCTINFO.CCACCTFROM.ACCTID.should.equal('4444');
+      return client.getStatement({start: 20131101, end: 20131120});
+    }).then(function (res) {
+      res.normalized.transactions.should.have.length(1);
+      res.normalized.transactions[0].payee.should.equal('CAFE');
+    });
+  });
+
+  it('should answer from fixtures', function(){
+    var server = MockServer({fixtures: {profile: __dirname + '/fixtures/profile.ofx'}});
+    return bank(server).getProfile().then(function (res) {
+      res.normalized.profile.messageSets.length.should.be.above(0);
+    });
+  });
+
+  it('should simulate OFX errors', function(){
+    var server = MockServer({error: {statement: 2003}});
+    return bank(server).getStatement({start: 20131101}).then(function () {
+      throw new Error('should fail');
+    }, function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAccountError);
+      err.code.should.equal(2003);
+    });
+  });
+
+  it('should check the credentials', function(){
+    var server = MockServer({user: 'user', password: 'secret'});
+    return bank(server).getAccounts().then(function () {
+      throw new Error('should fail');
+    }, function (err) {
+      err.should.be.an.instanceOf(Banking.OfxAuthError);
+      err.code.should.equal(15500);
+    });
+  });
+
+  it('should simulate HTTP errors', function(done){
+    var server = MockServer({httpStatus: 503});
+    bank(server).getAccounts(function (err) {
+      err.should.be.an.instanceOf(Banking.OfxHttpError);
+      err.statusCode.should.equal(503);
+      done();
+    });
+  });
+
+  it('should simulate slow responses over HTTP', function(done){
+    var server = MockServer({delay: 50}).listen(function (err, url) {
+      var started = Date.now();
+      bank(server, {url: url, transport: null, proxy: false}).getAccounts(function (err, res) {
+        server.close();
+        if (err) return done(err);
+        (Date.now() - started).should.be.above(45);
+        res.body.OFX.SIGNUPMSGSRSV1.ACCTINFOTRNRS.STATUS.CODE.should.equal('0');
+        done();
+      });
+    });
+  });
+
+  it('should pass listen errors to the callback', function(done){
+    var first = MockServer().listen(function (err, url) {
+      if (err) return done(err);
+      MockServer().listen(Number(url.split(':')[2].split('/')[0]), function (err) {
+        first.close();
+        err.code.should.equal('EADDRINUSE');
+        done();
+      });
+    });
+  });
+});
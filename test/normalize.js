@@ -0,0 +1,205 @@
+var Banking = require('..')
+  , data = require('./fixtures/data');
+
+describe('Banking.normalize', function(){
+
+  it('should normalize a bank statement', function(done){
+    Banking.parse(data.ofxString, function (err, res) {
+      if (err) return done(err);
+      var stmt = Banking.normalize(res);
+      stmt.accounts.should.have.length(1);
+      stmt.accounts[0].should.have.properties({
+        type: 'bank',
+        id: '1234567890',
+        bankId: '000000000',
+        accountType: 'CHECKING',
+        currency: 'USD'
+      });
+      stmt.currency.should.equal('USD');
+      stmt.ledgerBalance.amount.should.equal(16);
+      stmt.ledgerBalance.date.toISOString().should.equal('2012-01-26T08:00:00.000Z');
+      stmt.availableBalance.amount.should.equal(16);
+      stmt.transactions.should.have.length(11);
+
+      var trn = stmt.transactions[0];
+      trn.should.have.properties({
+        accountId: '1234567890',
+        fitId: '201201031',
+        type: 'DEBIT',
+        amount: -49.95,
+        payee: 'PLANET BEACH AL001',
+        memo: 'RECUR DEBIT CRD PMT0',
+        checkNumber: null
+      });
+      trn.date.should.be.an.instanceof(Date);
+      trn.date.toISOString().should.equal('2012-01-03T12:00:00.000Z');
+      (stmt.transactions[9].memo === null).should.be.true();
+      done();
+    });
+  });
+
+  it('should be exposed on parse results', function(done){
+    Banking.parseFile(__dirname + '/fixtures/sample.ofx', function (err, res) {
+      if (err) return done(err);
+      res.normalized.transactions.should.have.length(11);
+      done();
+    });
+  });
+
+  it('should normalize a credit card statement with a single transaction', function(done){
+    Banking.parseFile(__dirname + '/fixtures/creditcard.ofx', function (err, res) {
+      if (err) return done(err);
+      var stmt = res.normalized;
+      stmt.accounts[0].type.should.equal('creditcard');
+      stmt.accounts[0].id.should.equal('6011000000000000');
+      stmt.accounts[0].accountType.should.equal('CREDITCARD');
+      stmt.ledgerBalance.amount.should.equal(-512.5);
+      stmt.transactions.should.have.length(1);
+      stmt.transactions[0].date.toISOString().should.equal('2013-11-04T08:00:00.000Z');
+      done();
+    });
+  });
+
+  it('should normalize an investment statement', function(done){
+    Banking.parseFile(__dirname + '/fixtures/investment.ofx', function (err, res) {
+      if (err) return done(err);
+      var stmt = res.normalized;
+      stmt.accounts[0].should.have.properties({
+        type: 'investment',
+        id: 'X0000001',
+        brokerId: 'example.com'
+      });
+      stmt.availableBalance.amount.should.equal(592.55);
+      stmt.transactions.should.have.length(1);
+      stmt.transactions[0].fitId.should.equal('C600');
+      done();
+    });
+  });
+
+  describe('investment statements', function(){
+    var stmt;
+
+    before(function(){
+      return Banking.parseFile(__dirname + '/fixtures/investment.ofx').then(function (res) {
+        stmt = res.normalized;
+      });
+    });
+
+    it('should list the securities', function(){
+      stmt.securities.should.have.length(2);
+      stmt.securities[0].should.have.properties({
+        id: '000000001',
+        idType: 'CUSIP',
+        type: 'stock',
+        name: 'ACME CORP',
+        ticker: 'ACME',
+        unitPrice: 51
+      });
+      stmt.securities[1].type.should.equal('mutualfund');
+    });
+
+    it('should join positions against the securities list', function(){
+      stmt.positions.should.have.length(2);
+      stmt.positions[0].should.have.properties({
+        accountId: 'X0000001',
+        type: 'stock',
+        securityId: '000000001',
+        positionType: 'LONG',
+        units: 12,
+        unitPrice: 51,
+        marketValue: 612
+      });
+      stmt.positions[0].security.ticker.should.equal('ACME');
+      stmt.positions[1].security.name.should.equal('EXAMPLE INDEX FUND');
+      stmt.positions[1].priceDate.toISOString().should.equal('2014-01-15T05:00:00.000Z');
+    });
+
+    it('should type the investment transactions', function(){
+      var kinds = stmt.investmentTransactions.map(function (trn) {
+        return trn.kind + ':' + trn.type;
+      });
+      kinds.should.eql(['buy:BUYSTOCK', 'sell:SELLMF', 'income:INCOME', 'reinvest:REINVEST', 'transfer:TRANSFER']);
+
+      stmt.investmentTransactions[0].should.have.properties({
+        fitId: 'B100',
+        action: 'BUY',
+        units: 10,
+        unitPrice: 50.25,
+        commission: 4.95,
+        total: -507.45,
+        memo: 'BUY ACME'
+      });
+      stmt.investmentTransactions[0].security.ticker.should.equal('ACME');
+      stmt.investmentTransactions[0].settleDate.toISOString().should.equal('2014-01-07T05:00:00.000Z');
+      stmt.investmentTransactions[1].security.ticker.should.equal('EXIF');
+      stmt.investmentTransactions[2].action.should.equal('DIV');
+      stmt.investmentTransactions[4].action.should.equal('IN');
+    });
+
+    it('should expose the INVBAL balances', function(){
+      stmt.accounts[0].investmentBalance.should.have.properties({
+        availableCash: 592.55,
+        marginBalance: 0,
+        shortBalance: 0
+      });
+    });
+
+    it('should leave bank statements without investment data', function(){
+      return Banking.parseFile(__dirname + '/fixtures/sample.ofx').then(function (res) {
+        res.normalized.positions.should.eql([]);
+        res.normalized.investmentTransactions.should.eql([]);
+        res.normalized.accounts[0].should.not.have.property('positions');
+      });
+    });
+  });
+
+  it('should normalize a profile response', function(){
+    return Banking.parseFile(__dirname + '/fixtures/profile.ofx').then(function (res) {
+      var profile = res.normalized.profile;
+      profile.name.should.equal('Example Bank');
+      profile.messageSets.map(function (set) {
+        return set.name + ':' + set.version;
+      }).should.eql(['SIGNONMSGSET:1', 'BANKMSGSET:1', 'CREDITCARDMSGSET:1']);
+      profile.messageSets[1].url.should.equal('https://ofx.example.com/ofx');
+      profile.signOns[0].should.have.properties({realm: 'DEFAULT', min: 6, max: 32, caseSensitive: true});
+    });
+  });
+
+  it('should normalize closing statements', function(){
+    return Banking.parseFile(__dirname + '/fixtures/closing.ofx').then(function (res) {
+      var closing = res.normalized.closingStatements;
+      closing.should.have.length(2);
+      closing[0].should.have.properties({
+        accountId: '6011000000000000',
+        fitId: 'C201310',
+        openingBalance: -250,
+        closingBalance: -512.5,
+        minimumPayment: 25
+      });
+      closing[0].closeDate.toISOString().should.equal('2013-10-15T08:00:00.000Z');
+      (closing[1].nextDate === null).should.be.true();
+    });
+  });
+
+  it('should normalize payee lists and payment inquiries', function(){
+    return Banking.parseFile(__dirname + '/fixtures/payees.ofx').then(function (res) {
+      var stmt = res.normalized;
+      stmt.payees.should.have.length(2);
+      stmt.payees[1].should.have.properties({
+        id: 'P2',
+        name: 'Power & Light',
+        city: 'Springfield',
+        accountNumber: '9981'
+      });
+      stmt.payees[1].address.should.eql(['1 Grid Road', 'Suite 5']);
+      stmt.payments[0].should.have.properties({serverId: 'S1001', status: 'PROCESSED', checkNumber: '1042'});
+    });
+  });
+
+  it('should return an empty statement for unknown input', function(){
+    var stmt = Banking.normalize({});
+    stmt.accounts.should.eql([]);
+    stmt.transactions.should.eql([]);
+    (stmt.currency === null).should.be.true();
+  });
+});
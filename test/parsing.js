@@ -1,11 +1,22 @@
 var Banking = require('..')
+  , MockServer = require('../mock-server')
   , data = require('./fixtures/data')
   , mocha = require('mocha');
 
 describe('Banking', function(){
 
   describe('banking.getStatement', function() {
-    it('should return valid xml from the wells fargo server', function(done){
+    var server;
+
+    before(function(done){
+      server = MockServer({user: 'username', password: 'password'}).listen(done);
+    });
+
+    after(function(done){
+      server.close(done);
+    });
+
+    it('should return a statement from the ofx server', function(done){
 
       var banking = Banking({
         fid: 3001,
@@ -15,37 +26,39 @@ describe('Banking', function(){
         bankId: '342342',
         user: 'username',
         password: 'password',
-        url: 'https://www.oasis.cfree.com/3001.ofxgp'
+        url: server.url
       });
 
       //If second param is omitted JSON will be returned by default
       banking.getStatement({start:20131101, end:20131120}, function (err, res) {
-        if(err) done(res)
+        if (err) return done(err);
         res.body.should.be.an.instanceof(Object);
         res.body.should.have.property('OFX');
+        res.normalized.accounts[0].id.should.equal('234343434');
+        res.normalized.transactions.length.should.be.above(0);
         done();
       });
     });
 
-    it('should return valid xml from the discovercard server', function(done){
+    it('should send only the configured headers', function(done){
 
       var banking = Banking({
         fid: 7101,
         fidOrg: 'Discover Financial Services',
-        accType: 'checking',
+        accType: 'creditcard',
         accId: '234343434',
-        bankId: '342342',
         user: 'username',
-        url: 'https://ofx.discovercard.com',
+        url: server.url,
         password: 'password',
         headers: ['Content-Type', 'Host', 'Content-Length', 'Connection']
       });
 
-      //If second param is omitted JSON will be returned by default
       banking.getStatement({start:20131101, end:20131120}, function (err, res) {
-        if(err) done(res)
-        res.body.should.be.an.instanceof(Object);
-        res.body.should.have.property('OFX');
+        if (err) return done(err);
+        res.body.OFX.CREDITCARDMSGSRSV1.CCSTMTTRNRS.CCSTMTRS.CCACCTFROM.ACCTID.should.equal('234343434');
+        var headers = server.rawHeaders[server.rawHeaders.length - 1];
+        headers.filter(function (h, i) { return i % 2 === 0; })
+          .should.eql(['Content-Type', 'Host', 'Content-Length', 'Connection']);
         done();
       });
     });
@@ -60,7 +73,8 @@ describe('Banking', function(){
 
   describe('.parseFile', function(){
     it('should read the provided file and return JSON', function(done){
-      Banking.parseFile(__dirname +'/fixtures/sample.ofx', function (res) {
+      Banking.parseFile(__dirname +'/fixtures/sample.ofx', function (err, res) {
+        if (err) return done(err);
         res.body.should.be.an.instanceof(Object);
         res.body.should.have.property('OFX');
         res.body.OFX.should.have.property('SIGNONMSGSRSV1');
@@ -70,8 +84,47 @@ describe('Banking', function(){
       });
     });
 
+    it('should read an OFX 2.x XML file and return JSON', function(done){
+      Banking.parseFile(__dirname +'/fixtures/sample-v2.ofx', function (err, res) {
+        if (err) return done(err);
+        res.header.should.have.properties({
+          OFXHEADER: '200',
+          VERSION: '220',
+          SECURITY: 'NONE',
+          OLDFILEUID: 'NONE',
+          NEWFILEUID: 'NONE'
+        });
+        res.body.OFX.SIGNONMSGSRSV1.SONRS.STATUS.CODE.should.equal('0');
+        res.normalized.transactions.should.have.length(2);
+        done();
+      });
+    });
+
+    it('should return a promise when the callback is omitted', function(){
+      return Banking.parseFile(__dirname +'/fixtures/sample.ofx').then(function (res) {
+        res.body.should.have.property('OFX');
+      });
+    });
+
+    it('should pass read errors to the callback', function(done){
+      Banking.parseFile(__dirname +'/fixtures/missing.ofx', function (err) {
+        err.should.be.an.instanceof(Error);
+        err.code.should.equal('ENOENT');
+        done();
+      });
+    });
+
+    it('should reject the promise on read errors', function(){
+      return Banking.parseFile(__dirname +'/fixtures/missing.ofx').then(function () {
+        throw new Error('should not resolve');
+      }, function (err) {
+        err.code.should.equal('ENOENT');
+      });
+    });
+
     it('should read a OFX file with end-tags in elements and return JSON', function(done){
-      Banking.parseFile(__dirname +'/fixtures/sample-with-end-tags.ofx', function (res) {
+      Banking.parseFile(__dirname +'/fixtures/sample-with-end-tags.ofx', function (err, res) {
+        if (err) return done(err);
         res.body.should.be.an.instanceof(Object);
         res.body.should.have.property('OFX');
         res.body.should.have.property('OFX');
@@ -86,11 +139,26 @@ describe('Banking', function(){
   describe('.parse', function(){
     it('should read the provided string and return JSON', function(done){
 
-      Banking.parse(data.ofxString, function (res) {
+      Banking.parse(data.ofxString, function (err, res) {
+        if (err) return done(err);
         res.body.should.be.an.instanceof(Object);
         res.body.should.have.property('OFX');
         done();
       });
     });
+
+    it('should return a promise when the callback is omitted', function(){
+      return Banking.parse(data.ofxString).then(function (res) {
+        res.body.should.have.property('OFX');
+      });
+    });
+
+    it('should report invalid input as an error', function(done){
+      Banking.parse('not an ofx document', function (err, res) {
+        err.should.be.an.instanceof(Error);
+        (typeof res === 'undefined').should.be.true();
+        done();
+      });
+    });
   });
 });
@@ -0,0 +1,177 @@
+var Banking = require('..')
+  , ofx = require('../lib/ofx');
+
+var opts = {
+  fid: 3001,
+  fidOrg: 'Wells Fargo',
+  accType: 'CHECKING',
+  accId: '234343434',
+  bankId: '342342',
+  user: 'username',
+  password: 'pass<&>word',
+  app: 'QWIN',
+  appVer: '1700',
+  start: 20131101,
+  end: 20131120
+};
+
+function withVersion(ver) {
+  var res = {};
+  for (var key in opts) res[key] = opts[key];
+  res.ofxVer = ver;
+  return res;
+}
+
+describe('OFX requests', function(){
+
+  describe('version 1.x', function(){
+    it('should use the SGML header', function(){
+      var req = ofx.buildStatementRequest(withVersion('102'));
+      req.should.startWith('OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102\r\n');
+      req.should.containEql('<OFX><SIGNONMSGSRQV1>');
+      req.should.containEql('<ACCTID>234343434<ACCTTYPE>CHECKING');
+    });
+
+    it('should escape element values', function(){
+      var req = ofx.buildAccountListRequest(withVersion('102'));
+      req.should.containEql('<USERPASS>pass&lt;&amp;&gt;word<LANGUAGE>');
+    });
+  });
+
+  describe('version 2.x', function(){
+    it('should use the XML declaration and OFX processing instruction', function(){
+      var req = ofx.buildStatementRequest(withVersion('220'));
+      req.should.startWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\r\n' +
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="');
+      req.should.not.containEql('OFXSGML');
+    });
+
+    it('should close every element', function(){
+      var req = ofx.buildStatementRequest(withVersion('220'));
+      req.should.containEql('<ACCTID>234343434</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>');
+      req.should.containEql('<INCLUDE>Y</INCLUDE></INCTRAN>');
+      req.should.containEql('<USERPASS>pass&lt;&amp;&gt;word</USERPASS>');
+    });
+
+    it('should be parseable', function(){
+      return Banking.parse(ofx.buildStatementRequest(withVersion('220'))).then(function (res) {
+        res.header.OFXHEADER.should.equal('200');
+        res.header.VERSION.should.equal('220');
+        res.body.OFX.BANKMSGSRQV1.STMTTRNRQ.STMTRQ.BANKACCTFROM.ACCTID.should.equal('234343434');
+      });
+    });
+  });
+
+  describe('profile', function(){
+    it('should request the profile', function(){
+      var req = ofx.buildProfileRequest(withVersion('102'));
+      req.should.containEql('<PROFMSGSRQV1><PROFTRNRQ><TRNUID>');
+      req.should.containEql('<PROFRQ><CLIENTROUTING>MSGSET<DTPROFUP>19900101</PROFRQ>');
+      req.should.containEql('<USERID>username');
+    });
+
+    it('should sign on anonymously without credentials', function(){
+      var req = ofx.buildProfileRequest({fid: 1, fidOrg: 'X', app: 'QWIN', appVer: '1700', ofxVer: '102'});
+      req.should.containEql('<USERID>anonymous00000000000000000000000<USERPASS>anonymous00000000000000000000000');
+    });
+  });
+
+  describe('closing statements', function(){
+    it('should request bank closing statements', function(){
+      var req = ofx.buildClosingStatementRequest(withVersion('102'));
+      req.should.containEql('<BANKMSGSRQV1><STMTENDTRNRQ>');
+      req.should.containEql('<STMTENDRQ><BANKACCTFROM><BANKID>342342<ACCTID>234343434<ACCTTYPE>CHECKING</BANKACCTFROM>' +
+        '<DTSTART>20131101<DTEND>20131120</STMTENDRQ>');
+    });
+
+    it('should request credit card closing statements', function(){
+      var o = withVersion('102');
+      o.accType = 'creditcard';
+      delete o.start;
+      delete o.end;
+      var req = ofx.buildClosingStatementRequest(o);
+      req.should.containEql('<CREDITCARDMSGSRQV1><CCSTMTENDTRNRQ>');
+      req.should.containEql('<CCSTMTENDRQ><CCACCTFROM><ACCTID>234343434</CCACCTFROM></CCSTMTENDRQ>');
+    });
+  });
+
+  describe('bill pay', function(){
+    it('should request the payee list', function(){
+      var req = ofx.buildPayeeListRequest(withVersion('102'));
+      req.should.containEql('<BILLPAYMSGSRQV1><PAYEESYNCRQ><TOKEN>0<REJECTIFMISSING>N</PAYEESYNCRQ></BILLPAYMSGSRQV1>');
+    });
+
+    it('should request the status of a payment', function(){
+      var o = withVersion('220');
+      o.srvrTid = 'S1001';
+      var req = ofx.buildPaymentInquiryRequest(o);
+      req.should.containEql('<PMTINQRQ><SRVRTID>S1001</SRVRTID></PMTINQRQ>');
+    });
+  });
+
+  describe('signon', function(){
+    it('should sign on with a USERKEY instead of the password', function(){
+      var o = withVersion('102');
+      o.userKey = 'KEY123';
+      var req = ofx.buildAccountListRequest(o);
+      req.should.containEql('<USERKEY>KEY123<LANGUAGE>');
+      req.should.not.containEql('<USERPASS>');
+    });
+
+    it('should send the AUTHTOKEN until an ACCESSKEY is known', function(){
+      var o = withVersion('102');
+      o.authToken = 'TOKEN';
+      ofx.buildAccountListRequest(o).should.containEql('<APPVER>1700<AUTHTOKEN>TOKEN</SONRQ>');
+      o.accessKey = 'ACCESS';
+      ofx.buildAccountListRequest(o).should.containEql('<APPVER>1700<ACCESSKEY>ACCESS</SONRQ>');
+    });
+
+    it('should send MFA answers', function(){
+      var o = withVersion('220');
+      o.mfaAnswers = [{id: 'MFA13', answer: 'Rex'}];
+      ofx.buildAccountListRequest(o).should.containEql(
+        '<MFACHALLENGEANSWER><MFAPRHASEID>MFA13</MFAPRHASEID><MFAPHRASEA>Rex</MFAPHRASEA></MFACHALLENGEANSWER></SONRQ>');
+    });
+
+    it('should request the MFA challenges', function(){
+      var req = ofx.buildMfaChallengeRequest(withVersion('102'));
+      req.should.match(/<\/SONRQ><MFACHALLENGETRNRQ><TRNUID>\w+<MFACHALLENGERQ><DTCLIENT>\d{14}\.\d{3}\[0:GMT\]<\/MFACHALLENGERQ><\/MFACHALLENGETRNRQ><\/SIGNONMSGSRQV1><\/OFX>$/);
+    });
+  });
+
+  describe('dates', function(){
+    it('should send DTCLIENT with milliseconds and a timezone', function(){
+      ofx.buildAccountListRequest(withVersion('102')).should.match(/<DTCLIENT>\d{14}\.\d{3}\[0:GMT\]<USERID>/);
+    });
+
+    it('should format Date ranges', function(){
+      var o = withVersion('102');
+      o.start = new Date(Date.UTC(2013, 10, 1));
+      o.end = new Date(Date.UTC(2013, 10, 20, 23, 59, 59, 500));
+      ofx.buildStatementRequest(o).should.containEql(
+        '<DTSTART>20131101000000.000[0:GMT]<DTEND>20131120235959.500[0:GMT]<INCLUDE>Y');
+    });
+
+    it('should format ISO 8601 ranges', function(){
+      var o = withVersion('102');
+      o.start = '2013-11-01';
+      o.end = '2013-11-20T12:00:00-05:00';
+      o.accType = 'CREDITCARD';
+      ofx.buildStatementRequest(o).should.containEql('<DTSTART>20131101<DTEND>20131120170000.000[0:GMT]<INCLUDE>Y');
+    });
+
+    it('should send OFX dates as they are', function(){
+      var o = withVersion('102');
+      o.start = '20131101120000[-5:EST]';
+      ofx.buildClosingStatementRequest(o).should.containEql('<DTSTART>20131101120000[-5:EST]<DTEND>20131120');
+    });
+
+    it('should reject invalid dates', function(){
+      var o = withVersion('102');
+      o.start = new Date('nope');
+      (function () {
+        ofx.buildStatementRequest(o);
+      }).should.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+var Banking = require('..')
+  , fixture = __dirname + '/fixtures/sample.ofx';
+
+describe('Banking.serialize', function(){
+
+  it('should round-trip a parsed statement', function(){
+    return Banking.parseFile(fixture).then(function (res) {
+      return Banking.parse(Banking.serialize(res)).then(function (copy) {
+        copy.header.OFXHEADER.should.equal('100');
+        copy.header.VERSION.should.equal('102');
+        copy.body.should.eql(res.body);
+      });
+    });
+  });
+
+  it('should round-trip a parsed statement as OFX 2.x', function(){
+    return Banking.parseFile(fixture).then(function (res) {
+      var str = Banking.serialize(res, {version: '220'});
+      str.should.startWith('<?xml version="1.0"');
+      str.should.containEql('<TRNAMT>-49.95</TRNAMT>');
+      return Banking.parse(str).then(function (copy) {
+        copy.header.VERSION.should.equal('220');
+        copy.body.should.eql(res.body);
+      });
+    });
+  });
+
+  it('should write a normalized statement', function(){
+    return Banking.parseFile(fixture).then(function (res) {
+      var stmt = res.normalized;
+      stmt.accounts[0].transactions = stmt.accounts[0].transactions.filter(function (trn) {
+        return trn.amount < 0;
+      });
+
+      var str = Banking.serialize(stmt);
+      str.should.containEql('<SIGNONMSGSRSV1>');
+      str.should.containEql('<BANKACCTFROM>');
+      str.should.containEql('<LEDGERBAL>');
+
+      return Banking.parse(str).then(function (copy) {
+        var account = copy.normalized.accounts[0];
+        account.id.should.equal('1234567890');
+        account.bankId.should.equal('000000000');
+        account.start.should.eql(stmt.accounts[0].start);
+        account.ledgerBalance.should.eql(stmt.ledgerBalance);
+        account.availableBalance.should.eql(stmt.availableBalance);
+        copy.normalized.transactions.should.eql(stmt.accounts[0].transactions);
+      });
+    });
+  });
+
+  it('should write a normalized credit card statement', function(){
+    return Banking.parseFile(__dirname + '/fixtures/creditcard.ofx').then(function (res) {
+      var str = Banking.serialize(res.normalized, {version: '200'});
+      str.should.containEql('<CREDITCARDMSGSRSV1>');
+      str.should.containEql('<CCACCTFROM>');
+      return Banking.parse(str).then(function (copy) {
+        copy.normalized.transactions.should.eql(res.normalized.transactions);
+      });
+    });
+  });
+
+  it('should write normalized investment transactions and securities', function(){
+    return Banking.parseFile(__dirname + '/fixtures/investment.ofx').then(function (res) {
+      var str = Banking.serialize(res.normalized);
+      str.should.containEql('<SECLISTMSGSRSV1>');
+      return Banking.parse(str).then(function (copy) {
+        copy.normalized.securities.should.eql(res.normalized.securities);
+        copy.normalized.investmentTransactions.should.eql(res.normalized.investmentTransactions);
+        copy.normalized.transactions.should.eql(res.normalized.transactions);
+      });
+    });
+  });
+
+  it('should throw for unknown input', function(){
+    (function () { Banking.serialize({}); }).should.throw(TypeError);
+  });
+});
@@ -0,0 +1,109 @@
+var Banking = require('..')
+  , sgml = require('../lib/sgml');
+
+describe('SGML parser', function(){
+
+  it('should close leaf elements implicitly', function(){
+    sgml.parse('<OFX><STATUS><CODE>0<SEVERITY>INFO</STATUS></OFX>').body
+      .should.eql({OFX: {STATUS: {CODE: '0', SEVERITY: 'INFO'}}});
+  });
+
+  it('should parse both the implicit and end-tag forms the same way', function(){
+    return Promise.all([
+      Banking.parseFile(__dirname + '/fixtures/sample.ofx'),
+      Banking.parseFile(__dirname + '/fixtures/sample-with-end-tags.ofx')
+    ]).then(function (res) {
+      res[0].body.should.eql(res[1].body);
+    });
+  });
+
+  it('should keep dots in element names', function(){
+    return Banking.parseFile(__dirname + '/fixtures/sample.ofx').then(function (res) {
+      res.body.OFX.SIGNONMSGSRSV1.SONRS['INTU.BID'].should.equal('3000');
+      res.body.OFX.SIGNONMSGSRSV1.SONRS['INTU.USERID'].should.equal('xxx34tf');
+    });
+  });
+
+  it('should decode entities and trim stray whitespace', function(){
+    sgml.parse('<OFX><NAME>  AT&amp;T &#38; SONS&#x21;\r\n<MEMO>&lt;none&gt;</OFX>').body
+      .should.eql({OFX: {NAME: 'AT&T & SONS!', MEMO: '<none>'}});
+  });
+
+  it('should keep values containing a bare < or &', function(){
+    sgml.parse('<OFX><NAME>A<B & C<MEMO>1 < 2</OFX>').body
+      .should.eql({OFX: {NAME: 'A<B & C', MEMO: '1 < 2'}});
+  });
+
+  it('should treat unclosed elements without a value as empty leaves', function(){
+    sgml.parse('<OFX><STMTTRN><MEMO><NAME>ATT</STMTTRN></OFX>').body
+      .should.eql({OFX: {STMTTRN: {MEMO: '', NAME: 'ATT'}}});
+  });
+
+  it('should collect repeated elements into arrays', function(){
+    sgml.parse('<OFX><A>1<A>2<B>3</OFX>').body
+      .should.eql({OFX: {A: ['1', '2'], B: '3'}});
+  });
+
+  it('should keep __proto__ elements as data', function(){
+    var body = sgml.parse('<OFX><STMTTRN><__proto__><CODE>1</__proto__><NAME>A</STMTTRN><hasOwnProperty>x<hasOwnProperty>y</OFX>').body;
+    Object.getPrototypeOf(body.OFX.STMTTRN).should.equal(Object.prototype);
+    (body.OFX.STMTTRN.CODE === undefined).should.be.true();
+    Object.keys(body.OFX.STMTTRN).should.eql(['__proto__', 'NAME']);
+    body.OFX.hasOwnProperty.should.eql(['x', 'y']);
+    ({}).should.not.have.property('CODE');
+  });
+
+  it('should return the text before the root element as the header', function(){
+    sgml.parse('OFXHEADER:100\r\n\r\n<OFX><A>1</OFX>').header
+      .should.equal('OFXHEADER:100\r\n\r\n');
+  });
+
+  it('should accept input split into arbitrary chunks', function(){
+    var str = '<OFX><NAME>AT&amp;T</NAME><MEMO>x</OFX>';
+    var parser = new sgml.Parser();
+    str.split('').forEach(function (c) { parser.write(c); });
+    parser.end();
+    parser.body.should.eql({OFX: {NAME: 'AT&T', MEMO: 'x'}});
+  });
+
+  describe('errors', function(){
+    function error(str) {
+      try {
+        sgml.parse(str);
+      } catch (err) {
+        return err;
+      }
+      throw new Error('should have failed');
+    }
+
+    it('should report unclosed aggregates with their position', function(){
+      var err = error('<OFX>\n  <STMTTRN>\n    <NAME>x\n</OFX>');
+      err.should.be.an.instanceof(Banking.OfxParseError);
+      err.line.should.equal(4);
+      err.column.should.equal(1);
+      err.message.should.equal('Expected </STMTTRN> (opened at line 2, column 3) but found </OFX> at line 4, column 1');
+    });
+
+    it('should report unexpected end tags', function(){
+      var err = error('<OFX>\n<A>1</B>\n</OFX>');
+      err.message.should.equal('Unexpected end tag </B> at line 2, column 5');
+    });
+
+    it('should report truncated input', function(){
+      error('<OFX><STATUS><CODE>0').message.should.startWith('Unexpected end of input, <STATUS> is not closed');
+    });
+
+    it('should report input without an OFX element', function(){
+      error('<html>oops').message.should.equal('Expected the <OFX> element but found <html> at line 1, column 1');
+      error('not ofx').message.should.startWith('No OFX element found');
+    });
+
+    it('should pass parse errors to the callback', function(done){
+      Banking.parse('<OFX><STMTRS></OFX>', function (err, res) {
+        err.should.be.an.instanceof(Banking.OfxParseError);
+        (typeof res === 'undefined').should.be.true();
+        done();
+      });
+    });
+  });
+});
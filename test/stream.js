@@ -0,0 +1,109 @@
+var Banking = require('..')
+  , fs = require('fs')
+  , data = require('./fixtures/data');
+
+function collect(stream, fn) {
+  var items = [];
+  stream.on('data', function (item) { items.push(item); });
+  stream.on('error', fn);
+  stream.on('end', function () { fn(null, items); });
+}
+
+describe('Banking.parseFileStream', function(){
+
+  it('should emit the header, account and each transaction', function(done){
+    collect(Banking.parseFileStream(__dirname + '/fixtures/sample.ofx'), function (err, items) {
+      if (err) return done(err);
+      var types = items.map(function (item) { return item.type; });
+      types[0].should.equal('header');
+      types[1].should.equal('account');
+      types.filter(function (t) { return t === 'transaction'; }).should.have.length(11);
+      types[types.length - 1].should.equal('body');
+
+      items[0].data.VERSION.should.equal('102');
+      items[1].data.should.have.properties({type: 'bank', id: '1234567890', currency: 'USD'});
+
+      var trn = items[2];
+      trn.name.should.equal('STMTTRN');
+      trn.account.id.should.equal('1234567890');
+      trn.data.FITID.should.equal('201201031');
+      trn.normalized.amount.should.equal(-49.95);
+      trn.normalized.accountId.should.equal('1234567890');
+      done();
+    });
+  });
+
+  it('should leave transactions out of the remaining body', function(done){
+    collect(Banking.parseFileStream(__dirname + '/fixtures/sample.ofx'), function (err, items) {
+      if (err) return done(err);
+      var rs = items[items.length - 1].data.OFX.BANKMSGSRSV1.STMTTRNRS.STMTRS;
+      rs.BANKTRANLIST.should.eql({DTSTART: '20120101080000.000', DTEND: '20120126080000.000'});
+      rs.LEDGERBAL.BALAMT.should.equal('16.00');
+      done();
+    });
+  });
+
+  it('should emit investment transactions', function(done){
+    collect(Banking.parseFileStream(__dirname + '/fixtures/investment.ofx'), function (err, items) {
+      if (err) return done(err);
+      var names = items.filter(function (item) {
+        return item.type === 'transaction';
+      }).map(function (item) { return item.name; });
+      names.should.eql(['BUYSTOCK', 'SELLMF', 'INCOME', 'REINVEST', 'TRANSFER', 'INVBANKTRAN']);
+      items[items.length - 2].normalized.fitId.should.equal('C600');
+      items[2].normalized.should.have.properties({kind: 'buy', fitId: 'B100', units: 10});
+      done();
+    });
+  });
+
+  it('should emit named events', function(done){
+    var count = 0;
+    var stream = Banking.parseFileStream(__dirname + '/fixtures/sample.ofx');
+    stream.on('transaction', function () { count++; });
+    stream.on('end', function () {
+      count.should.equal(11);
+      done();
+    });
+    stream.resume();
+  });
+
+  it('should support async iteration', function(){
+    var stream = Banking.parseFileStream(__dirname + '/fixtures/sample.ofx');
+    var iterator = stream[Symbol.asyncIterator]();
+    return iterator.next().then(function (res) {
+      res.value.type.should.equal('header');
+      return iterator.return();
+    });
+  });
+
+  it('should report file errors', function(done){
+    Banking.parseFileStream(__dirname + '/fixtures/missing.ofx').on('error', function (err) {
+      err.code.should.equal('ENOENT');
+      done();
+    });
+  });
+
+  it('should report parse errors', function(done){
+    var stream = Banking.createParseStream();
+    stream.on('error', function (err) {
+      err.should.be.an.instanceof(Banking.OfxParseError);
+      done();
+    });
+    stream.resume();
+    stream.end('<OFX><STMTRS><CURDEF>USD</OFX>');
+  });
+
+  it('should handle input split into small chunks', function(done){
+    var stream = Banking.createParseStream();
+    collect(stream, function (err, items) {
+      if (err) return done(err);
+      items.filter(function (item) {
+        return item.type === 'transaction';
+      }).should.have.length(11);
+      done();
+    });
+    var buf = Buffer.from(data.ofxString);
+    for (var i = 0; i < buf.length; i += 7) stream.write(buf.slice(i, i + 7));
+    stream.end();
+  });
+});
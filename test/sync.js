@@ -0,0 +1,160 @@
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , Banking = require('..')
+  , MockServer = require('../mock-server');
+
+describe('Banking#sync', function(){
+
+  function day(d) {
+    return new Date(Date.UTC(2013, 10, d));
+  }
+
+  function trn(fitId, d, amount, extra) {
+    var t = {type: amount < 0 ? 'DEBIT' : 'CREDIT', date: day(d), amount: amount, fitId: fitId, payee: 'PAYEE ' + fitId};
+    for (var key in extra) t[key] = extra[key];
+    return t;
+  }
+
+  function setup(transactions) {
+    var server = MockServer({accounts: [{type: 'bank', id: '1111', bankId: '121000248', accountType: 'CHECKING', transactions: transactions}]});
+    var bank = Banking({
+      fid: 1,
+      url: 'https://ofx.example.com',
+      user: 'user',
+      password: 'pass',
+      accId: '1111',
+      bankId: '121000248',
+      accType: 'CHECKING',
+      transport: server.transport()
+    });
+    return {server: server, bank: bank};
+  }
+
+  function fitIds(trns) {
+    return trns.map(function (t) { return t.fitId; });
+  }
+
+  it('should only return new transactions', function(){
+    var trns = [trn('A', 2, -10), trn('B', 5, -20), trn('C', 9, 100)]
+      , mock = setup(trns)
+      , store = Banking.MemoryStore();
+
+    return mock.bank.sync({store: store, start: 20131101, end: 20131110}).then(function (res) {
+      fitIds(res.added).should.eql(['A', 'B', 'C']);
+      res.end.should.eql(day(10));
+      store.data['1:121000248:1111'].end.should.equal('2013-11-10T00:00:00.000Z');
+
+      trns.push(trn('D', 12, -5), trn('E', 15, -7));
+      return mock.bank.sync({store: store, end: 20131120});
+    }).then(function (res) {
+      res.start.should.eql(day(7));
+      fitIds(res.added).should.eql(['D', 'E']);
+      res.replaced.should.eql([]);
+      res.deleted.should.eql([]);
+      mock.server.requests[1].should.containEql('<DTSTART>20131107000000.000[0:GMT]');
+    });
+  });
+
+  it('should report corrections', function(){
+    var trns = [trn('A', 2, -10), trn('B', 8, -20)]
+      , mock = setup(trns)
+      , store = Banking.MemoryStore();
+
+    return mock.bank.sync({store: store, start: 20131101, end: 20131110}).then(function () {
+      trns.push(trn('B2', 9, -25, {correctFitId: 'B', correctAction: 'REPLACE'}));
+      trns.push(trn('A-DEL', 11, -10, {correctFitId: 'A', correctAction: 'DELETE'}));
+      return mock.bank.sync({store: store, end: 20131115});
+    }).then(function (res) {
+      res.added.should.eql([]);
+      fitIds(res.replaced).should.eql(['B2']);
+      res.replaced[0].correctFitId.should.equal('B');
+      res.replaced[0].amount.should.equal(-25);
+      res.deleted.should.eql(['A']);
+      return mock.bank.sync({store: store, end: 20131116});
+    }).then(function (res) {
+      // the corrections are inside the overlap but were seen before
+      res.replaced.should.eql([]);
+      res.deleted.should.eql([]);
+    });
+  });
+
+  it('should keep the state of a failed sync', function(){
+    var mock = setup([trn('A', 2, -10)])
+      , store = Banking.MemoryStore();
+
+    return mock.bank.sync({store: store, start: 20131101, end: 20131110}).then(function () {
+      mock.server.opts.error = 2000;
+      return mock.bank.sync({store: store, end: 20131120});
+    }).then(function () {
+      throw new Error('should fail');
+    }, function (err) {
+      err.should.be.an.instanceOf(Banking.OfxError);
+      store.data['1:121000248:1111'].end.should.equal('2013-11-10T00:00:00.000Z');
+    });
+  });
+
+  it('should accept stores returning promises', function(){
+    var mock = setup([trn('A', 9, -10)])
+      , states = {};
+    var store = {
+      get: function (key) { return Promise.resolve(states[key]); },
+      set: function (key, state) { states[key] = state; return Promise.resolve(); }
+    };
+
+    return mock.bank.sync({store: store, start: 20131101, end: 20131110}).then(function (res) {
+      fitIds(res.added).should.eql(['A']);
+      Object.keys(states['1:121000248:1111'].fitIds).should.eql(['A']);
+    });
+  });
+
+  it('should forget FITIDs older than the next request', function(){
+    var mock = setup([trn('A', 2, -10), trn('B', 8, -20)])
+      , store = Banking.MemoryStore();
+
+    return mock.bank.sync({store: store, start: 20131101, end: 20131110, overlap: 5}).then(function () {
+      Object.keys(store.data['1:121000248:1111'].fitIds).should.eql(['B']);
+    });
+  });
+
+  describe('FileStore', function(){
+    var file = path.join(os.tmpdir(), 'banking-sync-' + process.pid + '.json');
+
+    afterEach(function(){
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    it('should keep states in a JSON file', function(){
+      var mock = setup([trn('A', 9, -10)]);
+
+      return mock.bank.sync({store: file, start: 20131101, end: 20131110}).then(function () {
+        var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        data['1:121000248:1111'].end.should.equal('2013-11-10T00:00:00.000Z');
+
+        var store = Banking.FileStore(file);
+        return new Promise(function (resolve, reject) {
+          store.get('1:121000248:1111', function (err, state) {
+            if (err) return reject(err);
+            resolve(state);
+          });
+        });
+      }).then(function (state) {
+        state.fitIds.should.have.property('A');
+      });
+    });
+
+    it('should write concurrent sets together', function(done){
+      var store = Banking.FileStore(file)
+        , pending = 3;
+
+      ['a', 'b', 'c'].forEach(function (key) {
+        store.set(key, {end: key}, function (err) {
+          if (err) return done(err);
+          if (--pending) return;
+          JSON.parse(fs.readFileSync(file, 'utf8')).should.eql({a: {end: 'a'}, b: {end: 'b'}, c: {end: 'c'}});
+          done();
+        });
+      });
+    });
+  });
+});